@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+const fs = require('fs/promises');
+const path = require('path');
+
+const USAGE = `Usage: grapesjs-version-flow --config <versions.js> [--out <dir>] [--report <file>] <project.json...>
+
+  --config   Module exporting { builderVersion, versions, compareFn?, continueOnError?, editorConfig? }
+  --out      Directory where upgraded projects are written, with their path relative to the
+             directory of the input files (default: overwrite the input files)
+             Projects whose upgrade failed are never written
+  --report   File where the JSON report is written (default: stdout)`;
+
+function parseArgs(argv) {
+  const args = { files: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--config':
+      case '--out':
+      case '--report':
+        args[arg.slice(2)] = argv[++i];
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        args.files.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function getBaseDir(files) {
+  // Deepest directory which contains all the input files
+  return files
+    .map(file => path.dirname(path.resolve(file)))
+    .reduce((base, dir) => {
+      while (!isInside(dir, base) && path.dirname(base) !== base) {
+        base = path.dirname(base);
+      }
+      return base;
+    });
+}
+
+function isInside(dir, base) {
+  const relative = path.relative(base, dir);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+async function migrateFile(runner, file, outDir, baseDir) {
+  try {
+    const projectData = JSON.parse(await fs.readFile(file, 'utf8'));
+    const { projectData: upgradedData, report } = await runner.upgradeProject(projectData);
+
+    // A failed upgrade leaves a half migrated project, keep the original file
+    if (report.upgraded && report.success) {
+      // Files with the same name in different directories keep their own path in the output directory
+      const outFile = outDir ? path.join(outDir, path.relative(baseDir, path.resolve(file))) : file;
+      await fs.mkdir(path.dirname(outFile), { recursive: true });
+      await fs.writeFile(outFile, JSON.stringify(upgradedData, null, 2));
+    }
+
+    return { file, ...report };
+  } catch (error) {
+    return {
+      file,
+      upgraded: false,
+      success: false,
+      logs: [{ level: 'error', message: error.message }],
+      failedSteps: [],
+      error: error.message
+    };
+  }
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help || !args.config || args.files.length === 0) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  const grapesjs = require('grapesjs');
+  const { HeadlessRunner } = require('../dist/index.js');
+  const config = require(path.resolve(args.config));
+  const runner = new HeadlessRunner(grapesjs.default || grapesjs, config.default || config);
+
+  // One file at a time, each one gets its own editor
+  const baseDir = getBaseDir(args.files);
+  const reports = [];
+  for (const file of args.files) {
+    reports.push(await migrateFile(runner, file, args.out, baseDir));
+  }
+
+  const output = JSON.stringify(reports, null, 2);
+  if (args.report) {
+    await fs.writeFile(args.report, output);
+  } else {
+    console.log(output);
+  }
+
+  return reports.every(report => report.success) ? 0 : 1;
+}
+
+// Required by the tests, run from the command line
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code), error => {
+    console.error('[grapesjs-version-flow]', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,142 @@
+// Copies of the project as it was before an upgrade, stored with the storage adapter of the editor
+const DEFAULT_KEEP = 3;
+
+export default class BackupManager {
+  constructor(editor, options, versionManager, eventSystem) {
+    this.editor = editor;
+    this.options = options;
+    this.versionManager = versionManager;
+    this.eventSystem = eventSystem;
+  }
+
+  isEnabled() {
+    const { storageOptions } = this.getBackupOptions();
+    return !!this.options.backup && !!this.getStorage() &&
+      (typeof storageOptions === 'function' || this.getStorageType() === 'local');
+  }
+
+  getBackups() {
+    return this.versionManager.getBackups();
+  }
+
+  async create(fromVersion, namespaces = {}) {
+    const storage = this.getStorage();
+    const id = this.getBackupId(fromVersion);
+    const { versionKey } = this.versionManager;
+
+    // The backup keeps the versions of the original project, the store hooks would write the new ones
+    const data = { ...this.editor.getProjectData(), [versionKey]: fromVersion || undefined };
+    this.versionManager.getNamespaces().forEach(({ namespace, versionKey: namespaceKey }) => {
+      data[namespaceKey] = namespaces[namespace] || undefined;
+    });
+
+    await this.versionManager.storeBackup(data, backupData => storage.store(backupData, this.getStorageOptions(id)));
+
+    const backup = { id, fromVersion, namespaces, createdAt: new Date().toISOString() };
+    const backups = [...this.getBackups().filter(existing => existing.id !== id), backup];
+    this.versionManager.setBackups(backups);
+    await this.applyRetention();
+
+    this.eventSystem.emit('version:backup:created', backup);
+
+    return backup;
+  }
+
+  async restore(id) {
+    const backups = this.getBackups();
+    const backup = id ? backups.find(existing => existing.id === id) : backups[backups.length - 1];
+
+    if (!backup) {
+      throw new Error(id ? `[grapesjs-version-flow] Unknown backup "${id}"` : '[grapesjs-version-flow] No backup to restore');
+    }
+
+    const storage = this.getStorage();
+    const data = await this.versionManager.loadBackup(() => storage.load(this.getStorageOptions(backup.id)));
+
+    if (!data || Object.keys(data).length === 0) {
+      throw new Error(`[grapesjs-version-flow] Backup "${backup.id}" is empty or missing from the storage`);
+    }
+
+    this.editor.loadProjectData(data);
+
+    // The restored project is not upgraded, keep its original versions on next save
+    this.versionManager.restoreVersions(backup.fromVersion, backup.namespaces);
+
+    this.eventSystem.emit('version:backup:restored', backup);
+
+    return backup;
+  }
+
+  async applyRetention() {
+    const { keep = DEFAULT_KEEP, maxAge = null } = this.getBackupOptions();
+    const backups = this.getBackups();
+    const now = Date.now();
+
+    // Most recent backups last
+    const expired = backups.filter((backup, index) =>
+      index < backups.length - keep || (maxAge !== null && now - Date.parse(backup.createdAt) > maxAge)
+    );
+
+    if (expired.length === 0) return;
+
+    this.versionManager.setBackups(backups.filter(backup => !expired.includes(backup)));
+
+    for (const backup of expired) {
+      try {
+        await this.remove(backup.id);
+      } catch (error) {
+        console.warn(`[grapesjs-version-flow] Failed to remove backup ${backup.id}:`, error);
+      }
+    }
+  }
+
+  async remove(id) {
+    const { remove } = this.getBackupOptions();
+    if (typeof remove === 'function') {
+      return remove(id);
+    }
+
+    // The local storage adapter keeps each project in an item of its own
+    const storageOptions = this.getStorageOptions(id);
+    if (this.getStorageType() === 'local' && storageOptions && storageOptions.key) {
+      localStorage.removeItem(storageOptions.key);
+      return;
+    }
+
+    // Other storage adapters cannot delete, an empty project takes the place of the backup
+    const empty = {};
+    return this.versionManager.storeBackup(empty, data => this.getStorage().store(data, storageOptions));
+  }
+
+  getBackupId(fromVersion) {
+    return `${this.getStorageId()}.backup-${fromVersion || 'unversioned'}`;
+  }
+
+  getStorageId() {
+    // Local backups are stored next to the project, whatever its projectId
+    return this.versionManager.getStorageKey() || this.versionManager.getProjectId() || 'gjsProject';
+  }
+
+  getStorageOptions(id) {
+    const { storageOptions } = this.getBackupOptions();
+    if (typeof storageOptions === 'function') {
+      return storageOptions(id);
+    }
+
+    // Other storage types, e.g. remote, would store the backup over the project
+    return this.getStorageType() === 'local' ? { key: id } : null;
+  }
+
+  getStorageType() {
+    const storage = this.getStorage();
+    return storage && typeof storage.getCurrent === 'function' ? storage.getCurrent() : null;
+  }
+
+  getBackupOptions() {
+    return typeof this.options.backup === 'object' && this.options.backup !== null ? this.options.backup : {};
+  }
+
+  getStorage() {
+    return this.editor.Storage || null;
+  }
+}
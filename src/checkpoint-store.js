@@ -0,0 +1,33 @@
+export default class LocalStorageCheckpointStore {
+  constructor(prefix = 'gjs-version-flow:') {
+    this.prefix = prefix;
+  }
+
+  get(key) {
+    if (!this.isAvailable()) return null;
+
+    const value = localStorage.getItem(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  set(key, value) {
+    if (!this.isAvailable()) return;
+
+    localStorage.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    if (!this.isAvailable()) return;
+
+    localStorage.removeItem(this.prefix + key);
+  }
+
+  isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      // Accessing localStorage throws when it is disabled
+      return false;
+    }
+  }
+}
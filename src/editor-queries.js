@@ -0,0 +1,134 @@
+// Query helpers of the upgrade context, on the live editor
+// Selectors are matched against the component data: component.find() only works with rendered components
+const SELECTOR_TOKEN = /\*|[.#]?[\w-]+|\[[\w-]+(?:=(?:"[^"]*"|'[^']*'|[^\]]*))?\]/g;
+const ATTRIBUTE_SELECTOR = /^\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]$/;
+
+export default class EditorQueries {
+  constructor(editor) {
+    this.editor = editor;
+  }
+
+  findComponents(selectorOrPredicate, options = {}) {
+    const predicate = typeof selectorOrPredicate === 'function'
+      ? selectorOrPredicate
+      : component => this.matches(component, selectorOrPredicate);
+    const found = [];
+
+    this.walkComponents((component, parent) => {
+      if (predicate(component, parent)) {
+        found.push(component);
+      }
+    }, options);
+
+    return found;
+  }
+
+  matches(component, selector) {
+    return selector.split(',').some(part => this.matchesCompound(component, part.trim()));
+  }
+
+  matchesCompound(component, selector) {
+    const tokens = selector.match(SELECTOR_TOKEN) || [];
+    if (!selector || tokens.join('') !== selector) {
+      throw new Error(`Unsupported selector "${selector}", only tags, classes, ids and attributes are supported`);
+    }
+
+    const attributes = component.getAttributes();
+    const classes = component.getClasses();
+
+    return tokens.every(token => {
+      if (token === '*') return true;
+      if (token[0] === '.') return classes.includes(token.slice(1));
+      if (token[0] === '#') return component.getId() === token.slice(1);
+      if (token[0] === '[') {
+        const [, name, doubleQuoted, singleQuoted, unquoted] = token.match(ATTRIBUTE_SELECTOR);
+        const value = [doubleQuoted, singleQuoted, unquoted].find(part => part !== undefined);
+        return value === undefined ? name in attributes : String(attributes[name]) === value;
+      }
+      return component.get('tagName') === token.toLowerCase();
+    });
+  }
+
+  walkComponents(callback, options = {}) {
+    const walk = (component) => {
+      this.toArray(component.components()).forEach(child => {
+        callback(child, component);
+        walk(child);
+      });
+    };
+
+    this.getRoots(options).forEach(walk);
+  }
+
+  findRules(selectorOrPredicate) {
+    const { Css } = this.editor;
+    if (!Css) return [];
+
+    if (typeof selectorOrPredicate === 'string') {
+      return this.toArray(Css.getRules(selectorOrPredicate));
+    }
+
+    const rules = this.toArray(Css.getAll());
+    return typeof selectorOrPredicate === 'function' ? rules.filter(selectorOrPredicate) : rules;
+  }
+
+  replaceInRules(search, replacement, { selector } = {}) {
+    // Replaces in the property values, returns the number of rules which changed
+    let count = 0;
+
+    this.findRules(selector).forEach(rule => {
+      const style = rule.getStyle();
+      let changed = false;
+
+      const newStyle = Object.keys(style).reduce((result, prop) => {
+        const value = style[prop];
+        result[prop] = typeof value === 'string' ? value.replace(search, replacement) : value;
+        changed = changed || result[prop] !== value;
+        return result;
+      }, {});
+
+      if (changed) {
+        rule.setStyle(newStyle);
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  getComponentById(id) {
+    const { Components } = this.editor;
+    const registered = Components && typeof Components.getById === 'function' ? Components.getById(id) : null;
+
+    return registered || this.findComponents(component => component.getId() === id, { allPages: true })[0] || null;
+  }
+
+  getAssets() {
+    const { Assets } = this.editor;
+    return Assets ? this.toArray(Assets.getAll()) : [];
+  }
+
+  getSymbols() {
+    const { Components } = this.editor;
+    return (Components && typeof Components.getSymbols === 'function') ? this.toArray(Components.getSymbols()) : [];
+  }
+
+  getRoots({ allPages = false } = {}) {
+    const { Pages } = this.editor;
+
+    if (allPages && Pages) {
+      return this.toArray(Pages.getAll())
+        .map(page => page.getMainComponent())
+        .filter(Boolean);
+    }
+
+    const wrapper = typeof this.editor.getWrapper === 'function' ? this.editor.getWrapper() : null;
+    return wrapper ? [wrapper] : [];
+  }
+
+  toArray(collection) {
+    // GrapesJS returns Backbone collections or arrays depending on the API
+    if (!collection) return [];
+    return Array.isArray(collection) ? [...collection] : [...(collection.models || [])];
+  }
+}
@@ -0,0 +1,97 @@
+import VersionManager from './version-manager';
+import UpgradeEngine from './upgrade-engine';
+import EventSystem from './event-system';
+import { isValidVersion } from './semver';
+
+export default class HeadlessRunner {
+  constructor(grapesjs, opts = {}) {
+    this.grapesjs = grapesjs;
+    this.options = {
+      builderVersion: '',
+      versions: [],
+      compareFn: null,
+      continueOnError: true,
+      editorConfig: {},
+      ...opts,
+      // Each project is upgraded in a single run, there is nothing to resume nor other tabs
+      checkpointStore: null,
+      upgradeLock: null,
+      backup: false
+    };
+
+    if (!this.grapesjs || typeof this.grapesjs.init !== 'function') {
+      throw new Error('[grapesjs-version-flow] HeadlessRunner requires the grapesjs module');
+    }
+
+    if (!this.options.builderVersion) {
+      throw new Error('[grapesjs-version-flow] builderVersion is required');
+    }
+
+    if (!this.options.compareFn && !isValidVersion(this.options.builderVersion)) {
+      throw new Error(`[grapesjs-version-flow] Invalid version "${this.options.builderVersion}", expected a semantic version such as 1.2.3 or 1.2.3-beta.1`);
+    }
+  }
+
+  createEditor(projectData) {
+    return this.grapesjs.init({
+      headless: true,
+      storageManager: false,
+      ...this.options.editorConfig,
+      projectData
+    });
+  }
+
+  async upgradeProject(projectData) {
+    // Each project gets its own options, the engine updates builderVersion as steps succeed
+    const options = { ...this.options };
+    const editor = this.createEditor(projectData);
+
+    try {
+      const versionManager = new VersionManager(editor, options);
+      const fromVersion = projectData[versionManager.versionKey] || null;
+      versionManager.setSavedVersion(fromVersion);
+      versionManager.setHistory(projectData[versionManager.historyKey]);
+
+      if (!versionManager.needsUpgrade(fromVersion, options.builderVersion)) {
+        return {
+          projectData,
+          report: {
+            fromVersion,
+            toVersion: fromVersion,
+            upgraded: false,
+            success: true,
+            logs: [],
+            failedSteps: []
+          }
+        };
+      }
+
+      const upgradeEngine = new UpgradeEngine(editor, options, versionManager, new EventSystem(editor));
+      const result = await upgradeEngine.runUpgrades();
+
+      // Only record the version the project actually reached
+      const upgradedData = editor.getProjectData();
+      if (result.upgradedTo) {
+        upgradedData[versionManager.versionKey] = result.upgradedTo;
+      }
+      upgradedData[versionManager.historyKey] = versionManager.getHistory();
+
+      return {
+        projectData: upgradedData,
+        report: {
+          fromVersion,
+          toVersion: result.upgradedTo,
+          upgraded: true,
+          success: result.success,
+          logs: result.logs,
+          failedSteps: result.failedSteps || [],
+          ...(result.error ? { error: result.error } : {})
+        }
+      };
+    } finally {
+      if (typeof editor.destroy === 'function') {
+        editor.destroy();
+      }
+    }
+  }
+}
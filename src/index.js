@@ -5,6 +5,13 @@ import UpgradeEngine from './upgrade-engine';
 import ModalUI from './modal-ui';
 import EventSystem from './event-system';
 import StyleManager from './style-manager';
+import LocalStorageCheckpointStore from './checkpoint-store';
+import UpgradeLock from './upgrade-lock';
+import HeadlessRunner from './headless-runner';
+import { isValidVersion } from './semver';
+import { validateStep } from './validate-step';
+
+export { HeadlessRunner };
 
 export default (editor, opts = {}) => {
 
@@ -13,6 +20,17 @@ export default (editor, opts = {}) => {
     versions: [],
     compareFn: null,
     continueOnError: true,
+    snapshotEachStep: false,
+    createEditor: null,
+    newerVersionPolicy: 'block-save',
+    validators: [],
+    mandatory: true,
+    deferInterval: 24 * 60 * 60 * 1000,
+    deferPanel: 'options',
+    projectId: null,
+    checkpointStore: new LocalStorageCheckpointStore(),
+    upgradeLock: new UpgradeLock(),
+    backup: { keep: 3, maxAge: null, storageOptions: null },
     styles: {
       classPrefix: 'gjs-version-flow',
       injectCSS: null
@@ -35,8 +53,44 @@ export default (editor, opts = {}) => {
 
   // Validate version steps
   for (const version of options.versions) {
-    if (!version.builderVersion || typeof version.upgrade !== 'function') {
-      console.error('[grapesjs-version-flow] Each version step must have builderVersion and upgrade function');
+    const stepError = validateStep(version);
+    if (stepError) {
+      console.error(`[grapesjs-version-flow] ${stepError}`);
+      return;
+    }
+  }
+
+  if (!Array.isArray(options.validators) || options.validators.some(validator => typeof validator !== 'function')) {
+    console.error('[grapesjs-version-flow] validators must be an array of functions');
+    return;
+  }
+
+  if (options.backup && typeof options.backup !== 'object') {
+    console.error('[grapesjs-version-flow] backup must be an object or false');
+    return;
+  }
+
+  if (typeof options.mandatory !== 'boolean') {
+    console.error('[grapesjs-version-flow] mandatory must be a boolean');
+    return;
+  }
+
+  if (typeof options.deferInterval !== 'number' || options.deferInterval < 0) {
+    console.error('[grapesjs-version-flow] deferInterval must be a number of milliseconds');
+    return;
+  }
+
+  if (!['block-save', 'read-only', 'warn', 'allow'].includes(options.newerVersionPolicy)) {
+    console.error('[grapesjs-version-flow] newerVersionPolicy must be one of block-save, read-only, warn, allow');
+    return;
+  }
+
+  // Validate version format, custom compare functions may use their own format
+  if (!options.compareFn) {
+    const allVersions = [options.builderVersion, ...options.versions.map(step => step.builderVersion)];
+    const invalidVersion = allVersions.find(version => !isValidVersion(version));
+    if (invalidVersion !== undefined) {
+      console.error(`[grapesjs-version-flow] Invalid version "${invalidVersion}", expected a semantic version such as 1.2.3 or 1.2.3-beta.1`);
       return;
     }
   }
@@ -58,19 +112,106 @@ export default (editor, opts = {}) => {
   // Initialize styles
   styleManager.init();
 
+  // Other plugins register their own version steps from their init function
+  editor.VersionFlow = {
+    register(namespace, steps, registerOptions) {
+      versionManager.register(namespace, steps, registerOptions);
+    },
+    getBackups() {
+      return upgradeEngine.getBackups();
+    },
+    restoreBackup(id) {
+      return upgradeEngine.restoreBackup(id);
+    },
+    getReport(format) {
+      return upgradeEngine.getReport(format);
+    },
+    getHistory() {
+      return versionManager.getHistory();
+    },
+    showHistory() {
+      modalUI.showHistory();
+    },
+    runUpgrades(runOptions) {
+      return upgradeEngine.runUpgrades(runOptions);
+    },
+    canRollback() {
+      return upgradeEngine.canRollback();
+    },
+    rollback() {
+      return upgradeEngine.rollback();
+    },
+    retryFromFailedStep() {
+      return upgradeEngine.retryFromFailedStep();
+    }
+  };
+
   // Check for upgrades after storage is loaded
   editor.on('storage:end:load', () => {
+    // Reading a backup is not loading the project
+    if (versionManager.isLoadingBackup) return;
+
     // Give a small delay to ensure version is extracted from storage
-    setTimeout(() => {
+    setTimeout(async () => {
+      // Other plugins have registered their steps by now, check they can be ordered
+      try {
+        versionManager.validateRequirements();
+      } catch (error) {
+        console.error(error.message);
+        return;
+      }
+
       const savedVersion = versionManager.getSavedVersion();
       const currentVersion = options.builderVersion;
+
+      const isOutdated = versionManager.needsUpgrade(savedVersion, currentVersion) ||
+        versionManager.getPendingNamespaceUpgrades().length > 0;
+      const checkpoint = await upgradeEngine.getCheckpoint();
+
+      // Another tab may be upgrading the same project, its checkpoint is not an interrupted run
+      if ((checkpoint || isOutdated) && !(await upgradeEngine.acquireLock())) {
+        return;
+      }
+
+      // A previous run was interrupted, e.g. by a page reload
+      if (checkpoint && upgradeEngine.isCheckpointValid(checkpoint, savedVersion)) {
+        eventSystem.emit('version:interrupted', {
+          fromVersion: checkpoint.fromVersion,
+          completedVersion: checkpoint.completedVersion
+        });
+        return;
+      } else if (checkpoint) {
+        await upgradeEngine.clearCheckpoint();
+        // The lock was only taken to clear the checkpoint, no modal will release it
+        if (!isOutdated) {
+          upgradeEngine.releaseLock();
+        }
+      }
+
       // Check if we need to run upgrades even on first run
-      if (versionManager.needsUpgrade(savedVersion, currentVersion)) {
+      if (isOutdated) {
+        // The user chose to upgrade later, the panel button resumes the upgrade until the reminder
+        if (!versionManager.hasMandatoryUpgrades() && versionManager.isDeferred(options.deferInterval)) {
+          upgradeEngine.releaseLock();
+          modalUI.showDeferred();
+          return;
+        }
+
+        versionManager.clearDeferral();
         eventSystem.emit('version:outdated', {
           savedVersion,
           currentVersion
         });
         modalUI.show();
+      } else if (versionManager.isNewerProject()) {
+        if (options.newerVersionPolicy === 'read-only') {
+          editor.runCommand('core:preview');
+        }
+        eventSystem.emit('version:newer', {
+          savedVersion,
+          currentVersion,
+          policy: options.newerVersionPolicy
+        });
       }
     }, 100);
   });
@@ -3,9 +3,15 @@ export default {
   'modal.outdated.title': 'Update Required',
   'modal.outdated.message': 'This project was created with an earlier version of Silex. An update is required to ensure compatibility.',
   'modal.outdated.action': 'Update',
+  'modal.outdated.steps': 'Steps of this update:',
+  'modal.outdated.optional': 'Optional',
+  'modal.outdated.required': 'Required',
+  'modal.outdated.later': 'Later',
   'modal.upgrading.title': 'Update in Progress',
   'modal.upgrading.current': 'Migrating to {version}',
+  'modal.upgrading.step': 'Step {current} of {total}',
   'modal.upgrading.logs': 'Migration Log',
+  'modal.upgrading.cancel': 'Cancel',
   'modal.completed.title': 'Update Complete',
   'modal.completed.message': 'Project has been migrated to version {version}.',
   'modal.completed.continueWithoutSaving': 'Continue',
@@ -15,6 +21,38 @@ export default {
   'modal.error.message': 'Migration to version {version} failed.',
   'modal.error.retry': 'Retry',
   'modal.error.viewLogs': 'View Logs',
+  'modal.error.rollback': 'Restore original project',
+  'modal.newer.title': 'Newer Project Version',
+  'modal.newer.message': 'This project was saved with a newer version of Silex than the one you are using.',
+  'modal.newer.blockSave': 'Saving is disabled to avoid losing data. Please open this project with the latest version of Silex.',
+  'modal.newer.readOnly': 'The project is opened in read-only mode and saving is disabled to avoid losing data. Please open this project with the latest version of Silex.',
+  'modal.newer.warn': 'Saving this project with this version may lose data which this version does not support.',
+  'modal.interrupted.title': 'Update Interrupted',
+  'modal.interrupted.message': 'A previous update of this project was interrupted. You can resume it from the last completed step, or start it again from the beginning.',
+  'modal.interrupted.resume': 'Resume',
+  'modal.interrupted.restart': 'Start Over',
+  'modal.locked.title': 'Update in Another Tab',
+  'modal.locked.message': 'This project is being updated in another tab. It will be reloaded here when the update is finished.',
+  'modal.deferred.resume': 'Update available',
+  'modal.deferred.title': 'Resume the project update',
+  'modal.history.title': 'Update History',
+  'modal.history.empty': 'This project has not been updated yet.',
+  'modal.history.success': 'Success',
+  'modal.history.failed': 'Failed',
+  'modal.history.cancelled': 'Cancelled',
+  'modal.history.logs': '{info} info, {warn} warnings, {error} errors',
+  'modal.history.failedSteps': 'Failed steps: {versions}',
+  'modal.logs.search': 'Search logs',
+  'modal.logs.copy': 'Copy logs',
+  'modal.logs.general': 'Other logs',
+  'modal.logs.noMatch': 'No logs match the filters',
+  'modal.logs.show': 'Show in the canvas',
+  'modal.minimized.expand': 'Show update',
+  'modal.minimized.title': 'The update window is minimized',
+  'modal.report.download': 'Download report',
+  'modal.report.format': 'Report format',
+  'modal.backups.title': 'Backups made before updates',
+  'modal.backups.restore': 'Restore backup',
   'modal.firstRun.title': 'Initial Setup',
   'modal.firstRun.message': 'Initializing elements for this version.',
   'modal.firstRun.whatsNew': 'View Changes',
@@ -22,5 +60,6 @@ export default {
   'modal.skip': 'Skip',
   'log.level.info': 'Info',
   'log.level.warn': 'Warning',
-  'log.level.error': 'Error'
+  'log.level.error': 'Error',
+  'log.level.skipped': 'Skipped'
 };
@@ -3,9 +3,15 @@ export default {
   'modal.outdated.title': 'Mise à jour requise',
   'modal.outdated.message': 'Ce projet a été créé avec une version antérieure de Silex. Une mise à jour est nécessaire pour assurer la compatibilité.',
   'modal.outdated.action': 'Mettre à jour',
+  'modal.outdated.steps': 'Étapes de cette mise à jour :',
+  'modal.outdated.optional': 'Facultative',
+  'modal.outdated.required': 'Requise',
+  'modal.outdated.later': 'Plus tard',
   'modal.upgrading.title': 'Mise à jour en cours',
   'modal.upgrading.current': 'Migration vers {version}',
+  'modal.upgrading.step': 'Étape {current} sur {total}',
   'modal.upgrading.logs': 'Journal de migration',
+  'modal.upgrading.cancel': 'Annuler',
   'modal.completed.title': 'Mise à jour terminée',
   'modal.completed.message': 'Le projet a été migré vers la version {version}.',
   'modal.completed.continueWithoutSaving': 'Continuer',
@@ -15,6 +21,38 @@ export default {
   'modal.error.message': 'La migration vers la version {version} a échoué.',
   'modal.error.retry': 'Réessayer',
   'modal.error.viewLogs': 'Afficher les logs',
+  'modal.error.rollback': 'Restaurer le projet original',
+  'modal.newer.title': 'Version du projet plus récente',
+  'modal.newer.message': 'Ce projet a été sauvegardé avec une version de Silex plus récente que celle que vous utilisez.',
+  'modal.newer.blockSave': 'La sauvegarde est désactivée pour éviter de perdre des données. Veuillez ouvrir ce projet avec la dernière version de Silex.',
+  'modal.newer.readOnly': 'Le projet est ouvert en lecture seule et la sauvegarde est désactivée pour éviter de perdre des données. Veuillez ouvrir ce projet avec la dernière version de Silex.',
+  'modal.newer.warn': 'Sauvegarder ce projet avec cette version peut faire perdre des données que cette version ne prend pas en charge.',
+  'modal.interrupted.title': 'Mise à jour interrompue',
+  'modal.interrupted.message': 'Une précédente mise à jour de ce projet a été interrompue. Vous pouvez la reprendre à partir de la dernière étape terminée, ou la recommencer depuis le début.',
+  'modal.interrupted.resume': 'Reprendre',
+  'modal.interrupted.restart': 'Recommencer',
+  'modal.locked.title': 'Mise à jour dans un autre onglet',
+  'modal.locked.message': 'Ce projet est en cours de mise à jour dans un autre onglet. Il sera rechargé ici quand la mise à jour sera terminée.',
+  'modal.deferred.resume': 'Mise à jour disponible',
+  'modal.deferred.title': 'Reprendre la mise à jour du projet',
+  'modal.history.title': 'Historique des mises à jour',
+  'modal.history.empty': 'Ce projet n\'a pas encore été mis à jour.',
+  'modal.history.success': 'Réussie',
+  'modal.history.failed': 'Échouée',
+  'modal.history.cancelled': 'Annulée',
+  'modal.history.logs': '{info} infos, {warn} avertissements, {error} erreurs',
+  'modal.history.failedSteps': 'Étapes échouées : {versions}',
+  'modal.logs.search': 'Rechercher dans les journaux',
+  'modal.logs.copy': 'Copier les journaux',
+  'modal.logs.general': 'Autres journaux',
+  'modal.logs.noMatch': 'Aucun journal ne correspond aux filtres',
+  'modal.logs.show': 'Afficher dans le canevas',
+  'modal.minimized.expand': 'Afficher la mise à jour',
+  'modal.minimized.title': 'La fenêtre de mise à jour est réduite',
+  'modal.report.download': 'Télécharger le rapport',
+  'modal.report.format': 'Format du rapport',
+  'modal.backups.title': 'Sauvegardes faites avant les mises à jour',
+  'modal.backups.restore': 'Restaurer la sauvegarde',
   'modal.firstRun.title': 'Configuration initiale',
   'modal.firstRun.message': 'Initialisation des composants pour cette version.',
   'modal.firstRun.whatsNew': 'Voir les nouveautés',
@@ -22,5 +60,6 @@ export default {
   'modal.skip': 'Ignorer',
   'log.level.info': 'Info',
   'log.level.warn': 'Attention',
-  'log.level.error': 'Erreur'
+  'log.level.error': 'Erreur',
+  'log.level.skipped': 'Ignorée'
 };
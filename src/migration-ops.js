@@ -0,0 +1,215 @@
+// Declarative operations, applied to the project data (editor.getProjectData())
+const REQUIRED_FIELDS = {
+  renameType: ['from', 'to'],
+  renameClass: ['from', 'to'],
+  renameTrait: ['from', 'to'],
+  removeAttr: ['name'],
+  setStyleProp: ['selector', 'prop', 'value'],
+  renameStyleProp: ['from', 'to']
+};
+
+export default class MigrationOps {
+  validate(op) {
+    if (!op || !REQUIRED_FIELDS[op.op]) {
+      return `Unknown operation "${op && op.op}", expected one of ${Object.keys(REQUIRED_FIELDS).join(', ')}`;
+    }
+
+    const missingField = REQUIRED_FIELDS[op.op].find(field => op[field] === undefined);
+    if (missingField) {
+      return `Operation ${op.op} requires ${missingField}`;
+    }
+
+    return null;
+  }
+
+  apply(projectData, op) {
+    const error = this.validate(op);
+    if (error) {
+      throw new Error(error);
+    }
+
+    return this[op.op](projectData, op);
+  }
+
+  renameType(projectData, { from, to }) {
+    let count = 0;
+
+    this.walkComponents(projectData, component => {
+      if (component.type === from) {
+        component.type = to;
+        count++;
+      }
+    });
+
+    return `Renamed type "${from}" to "${to}" on ${count} components`;
+  }
+
+  renameClass(projectData, { from, to }) {
+    let componentCount = 0;
+    let ruleCount = 0;
+
+    this.walkComponents(projectData, component => {
+      if (Array.isArray(component.classes) && this.renameSelectors(component.classes, from, to)) {
+        componentCount++;
+      }
+    });
+
+    this.getRules(projectData).forEach(rule => {
+      let renamed = Array.isArray(rule.selectors) && this.renameSelectors(rule.selectors, from, to);
+
+      if (typeof rule.selectorsAdd === 'string') {
+        const selectorsAdd = rule.selectorsAdd.replace(new RegExp(`\\.${this.escapeRegExp(from)}(?![\\w-])`, 'g'), `.${to}`);
+        renamed = renamed || selectorsAdd !== rule.selectorsAdd;
+        rule.selectorsAdd = selectorsAdd;
+      }
+
+      if (renamed) {
+        ruleCount++;
+      }
+    });
+
+    return `Renamed class "${from}" to "${to}" on ${componentCount} components and ${ruleCount} rules`;
+  }
+
+  renameTrait(projectData, { from, to, type }) {
+    let count = 0;
+
+    this.walkComponents(projectData, component => {
+      if (type && component.type !== type) return;
+
+      let renamed = false;
+
+      if (Array.isArray(component.traits)) {
+        component.traits = component.traits.map(trait => {
+          if (trait === from) {
+            renamed = true;
+            return to;
+          }
+          if (trait && trait.name === from) {
+            renamed = true;
+            return { ...trait, name: to };
+          }
+          return trait;
+        });
+      }
+
+      // Attribute traits keep their value in the component attributes
+      if (component.attributes && from in component.attributes) {
+        component.attributes[to] = component.attributes[from];
+        delete component.attributes[from];
+        renamed = true;
+      }
+
+      if (renamed) {
+        count++;
+      }
+    });
+
+    return `Renamed trait "${from}" to "${to}" on ${count} components`;
+  }
+
+  removeAttr(projectData, { name, type }) {
+    let count = 0;
+
+    this.walkComponents(projectData, component => {
+      if (type && component.type !== type) return;
+
+      if (component.attributes && name in component.attributes) {
+        delete component.attributes[name];
+        count++;
+      }
+    });
+
+    return `Removed attribute "${name}" from ${count} components`;
+  }
+
+  setStyleProp(projectData, { selector, prop, value, media = '' }) {
+    const rule = this.getRules(projectData).find(rule =>
+      this.getRuleSelector(rule) === selector && (rule.mediaText || '') === media
+    );
+
+    if (rule) {
+      rule.style = { ...rule.style, [prop]: value };
+      return `Set "${prop}" to "${value}" on ${selector}`;
+    }
+
+    if (!Array.isArray(projectData.styles)) {
+      projectData.styles = [];
+    }
+    projectData.styles.push({
+      selectors: [],
+      selectorsAdd: selector,
+      style: { [prop]: value },
+      ...(media ? { mediaText: media, atRuleType: 'media' } : {})
+    });
+
+    return `Added a ${selector} rule with "${prop}" set to "${value}"`;
+  }
+
+  renameStyleProp(projectData, { from, to, selector }) {
+    let count = 0;
+
+    this.getRules(projectData).forEach(rule => {
+      if (selector && this.getRuleSelector(rule) !== selector) return;
+
+      if (rule.style && from in rule.style) {
+        const { [from]: value, ...style } = rule.style;
+        rule.style = { ...style, [to]: value };
+        count++;
+      }
+    });
+
+    return `Renamed style property "${from}" to "${to}" in ${count} rules`;
+  }
+
+  renameSelectors(selectors, from, to) {
+    let renamed = false;
+
+    selectors.forEach((selector, index) => {
+      if (selector === from) {
+        selectors[index] = to;
+        renamed = true;
+      } else if (selector && typeof selector === 'object' && selector.name === from && selector.type !== 2) {
+        selectors[index] = { ...selector, name: to };
+        renamed = true;
+      }
+    });
+
+    return renamed;
+  }
+
+  walkComponents(projectData, callback) {
+    const walk = component => {
+      if (!component || typeof component !== 'object') return;
+
+      callback(component);
+      if (Array.isArray(component.components)) {
+        component.components.forEach(walk);
+      }
+    };
+
+    ((projectData && projectData.pages) || []).forEach(page => {
+      (page.frames || []).forEach(frame => walk(frame && frame.component));
+    });
+  }
+
+  getRules(projectData) {
+    return (projectData && Array.isArray(projectData.styles)) ? projectData.styles : [];
+  }
+
+  getRuleSelector(rule) {
+    // Classes are stored without the dot, ids with their # and selector objects have a type (2 for ids)
+    const selectors = (rule.selectors || []).map(selector => {
+      if (typeof selector === 'string') {
+        return selector.startsWith('#') ? selector : `.${selector}`;
+      }
+      return `${selector.type === 2 ? '#' : '.'}${selector.name}`;
+    }).join('') || rule.selectorsAdd || '';
+
+    return rule.state ? `${selectors}:${rule.state}` : selectors;
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
@@ -1,3 +1,10 @@
+import EditorQueries from './editor-queries';
+
+// Largest delay setTimeout supports, about 24 days
+const MAX_TIMEOUT = 2147483647;
+// Levels which can be hidden in the logs, the others are always shown
+const FILTERED_LOG_LEVELS = ['info', 'warn', 'error'];
+
 export default class ModalUI {
   constructor(editor, options, upgradeEngine, eventSystem) {
     this.editor = editor;
@@ -5,18 +12,41 @@ export default class ModalUI {
     this.upgradeEngine = upgradeEngine;
     this.eventSystem = eventSystem;
     this.modal = null;
+    // Title and content of the modal, to open it again once minimized
+    this.modalContent = null;
+    this.minimized = false;
     this.currentState = 'hidden';
     this.saveNowChecked = false;
+    this.progress = this.createProgress();
+    this.pendingPrompt = null;
+    // The runs are counted to remember which one runs without its modal
+    this.runCount = 0;
+    this.closedRun = null;
+    this.selectedOptionalSteps = [];
+    this.reminderTimeout = null;
+    this.reportFormat = 'html';
+    this.queries = new EditorQueries(editor);
+    this.logLevels = { info: true, warn: true, error: true };
+    this.logSearch = '';
+    // Labels of the steps whose logs are collapsed, '' for the logs outside of the steps
+    this.collapsedLogGroups = new Set();
+    // The document listeners handle every opening of the modal
+    this.hasDocumentListeners = false;
 
     this.states = {
       OUTDATED: 'outdated',
       UPGRADING: 'upgrading',
       COMPLETED: 'completed',
       ERROR: 'error',
-      FIRST_RUN: 'first_run'
+      FIRST_RUN: 'first_run',
+      NEWER: 'newer',
+      INTERRUPTED: 'interrupted',
+      LOCKED: 'locked',
+      HISTORY: 'history'
     };
 
     this.setupEventListeners();
+    this.upgradeEngine.setPromptHandler((question, { signal } = {}) => this.showPrompt(question, { signal }));
   }
 
   setupEventListeners() {
@@ -24,12 +54,69 @@ export default class ModalUI {
       this.showOutdatedState(data.savedVersion, data.currentVersion);
     });
 
-    this.eventSystem.on('version:upgrade:start', () => {
+    this.eventSystem.on('version:newer', (data) => {
+      if (data.policy !== 'allow') {
+        this.showNewerState(data.savedVersion, data.currentVersion, data.policy);
+      }
+    });
+
+    this.eventSystem.on('version:interrupted', (data) => {
+      this.showInterruptedState(data.fromVersion, data.completedVersion);
+    });
+
+    // Closing the modal with its own button also ends the flow in this tab
+    this.editor.on('modal:close', () => {
+      if (!this.modal || !this.isOwnModal()) return;
+
+      this.modal = null;
+      this.currentState = 'hidden';
+      if (this.upgradeEngine.isUpgrading) {
+        // The steps go on without the modal, the result is not shown
+        // The run may still be waiting for the lock, before it started
+        this.closedRun = this.upgradeEngine.abortController ? this.runCount : this.runCount + 1;
+        this.answerPrompt(null);
+        this.upgradeEngine.releaseLockAfterRun();
+      } else {
+        this.upgradeEngine.releaseLock();
+      }
+    });
+
+    this.eventSystem.on('version:locked', () => {
+      this.showLockedState();
+    });
+
+    this.eventSystem.on('version:unlocked', () => {
+      this.reloadProject();
+    });
+
+    this.eventSystem.on('version:upgrade:start', (data) => {
+      this.runCount++;
+      this.progress = this.createProgress(data.pending.length);
+      this.collapsedLogGroups.clear();
       this.showUpgradingState();
     });
 
     this.eventSystem.on('version:versionUpgrade:start', (data) => {
-      this.updateCurrentUpgradeStep(data.toVersion);
+      this.progress = this.createProgress(this.progress.stepCount, this.progress.stepIndex + 1);
+      this.updateCurrentUpgradeStep(data.namespace ? `${data.namespace} ${data.toVersion}` : data.toVersion);
+      this.updateProgress();
+    });
+
+    this.eventSystem.on('version:versionUpgrade:progress', (data) => {
+      this.progress = {
+        stepCount: data.stepCount,
+        stepIndex: data.stepIndex,
+        done: data.done,
+        total: data.total,
+        label: data.label
+      };
+      this.updateProgress();
+    });
+
+    this.eventSystem.on('version:versionUpgrade:skip', (data) => {
+      this.progress = this.createProgress(this.progress.stepCount, this.progress.stepIndex + 1);
+      this.updateProgress();
+      this.addLogs(data.log);
     });
 
     this.eventSystem.on('version:versionUpgrade:end', (data) => {
@@ -50,6 +137,11 @@ export default class ModalUI {
       return;
     }
 
+    if (this.minimized) {
+      this.minimized = false;
+      this.hideExpandButton();
+    }
+
     this.modal = this.editor.Modal.open({
       title: this.editor.I18n.t('modal.title'),
       content: this.renderContent(),
@@ -63,6 +155,21 @@ export default class ModalUI {
   }
 
   hide() {
+    // A running step waiting for an answer gets the default one, the prompts of ended runs are dropped
+    if (this.pendingPrompt && this.upgradeEngine.isUpgrading) {
+      this.answerPrompt(null);
+    } else {
+      this.clearPrompt();
+    }
+
+    // Other tabs can upgrade the project once this one is done with it
+    this.upgradeEngine.releaseLock();
+
+    if (this.minimized) {
+      this.minimized = false;
+      this.hideExpandButton();
+    }
+
     if (this.modal) {
       this.editor.Modal.close();
       this.modal = null;
@@ -76,11 +183,16 @@ export default class ModalUI {
 
   showOutdatedState(savedVersion, currentVersion) {
     this.currentState = this.states.OUTDATED;
-    // Skip the initial dialog and go straight to upgrading
-    this.startUpgrade();
+    this.selectedOptionalSteps = [];
+    this.updateModal({
+      title: this.editor.I18n.t('modal.outdated.title'),
+      content: this.renderOutdatedContent(savedVersion, currentVersion)
+    });
   }
 
   showUpgradingState() {
+    if (this.isClosedRun()) return;
+
     this.currentState = this.states.UPGRADING;
     this.updateModal({
       title: this.editor.I18n.t('modal.upgrading.title'),
@@ -89,6 +201,8 @@ export default class ModalUI {
   }
 
   showCompletedState(finalVersion) {
+    if (this.isClosedRun()) return;
+
     this.currentState = this.states.COMPLETED;
     this.updateModal({
       title: this.editor.I18n.t('modal.completed.title'),
@@ -97,6 +211,8 @@ export default class ModalUI {
   }
 
   showErrorState(failedVersion, error) {
+    if (this.isClosedRun()) return;
+
     this.currentState = this.states.ERROR;
     this.updateModal({
       title: this.editor.I18n.t('modal.error.title'),
@@ -112,11 +228,54 @@ export default class ModalUI {
     });
   }
 
+  showNewerState(savedVersion, currentVersion, policy) {
+    this.currentState = this.states.NEWER;
+    this.updateModal({
+      title: this.editor.I18n.t('modal.newer.title'),
+      content: this.renderNewerContent(savedVersion, currentVersion, policy)
+    });
+  }
+
+  showInterruptedState(fromVersion, completedVersion) {
+    this.currentState = this.states.INTERRUPTED;
+    this.updateModal({
+      title: this.editor.I18n.t('modal.interrupted.title'),
+      content: this.renderInterruptedContent(fromVersion, completedVersion)
+    });
+  }
+
+  showLockedState() {
+    this.currentState = this.states.LOCKED;
+    this.updateModal({
+      title: this.editor.I18n.t('modal.locked.title'),
+      content: this.renderLockedContent()
+    });
+  }
+
+  showHistory() {
+    this.currentState = this.states.HISTORY;
+    this.updateModal({
+      title: this.editor.I18n.t('modal.history.title'),
+      content: this.renderHistoryContent()
+    });
+  }
+
+  isClosedRun() {
+    return this.closedRun === this.runCount;
+  }
+
+  // modal:close is triggered for every modal of the editor, e.g. the asset manager
+  isOwnModal() {
+    const contentEl = this.editor.Modal.getContentEl && this.editor.Modal.getContentEl();
+    return !contentEl || !!contentEl.querySelector(`.${this.getClassName('modal-content')}`);
+  }
+
   updateModal({ title, content }) {
     if (!this.modal) {
       this.show();
     }
 
+    this.modalContent = { title, content };
     this.modal.setTitle(title);
     this.modal.setContent(content);
   }
@@ -133,12 +292,52 @@ export default class ModalUI {
           <div class="${this.getClassName('version-info')}">
             ${savedVersion || 'Unknown'} → ${currentVersion}
           </div>
-          <p><em>Upgrading your website to the latest version of Silex...</em></p>
+          ${this.renderPendingSteps()}
+        </div>
+        <div class="${this.getClassName('modal-footer')}">
+          ${this.upgradeEngine.versionManager.hasMandatoryUpgrades() ? '' : `
+            <button class="gjs-btn-secondary" data-action="later">
+              ${this.editor.I18n.t('modal.outdated.later')}
+            </button>
+          `}
+          <button class="gjs-btn-prim" data-action="upgrade">
+            ${this.editor.I18n.t('modal.outdated.action')}
+          </button>
         </div>
       </div>
     `;
   }
 
+  renderPendingSteps() {
+    const steps = this.upgradeEngine.versionManager.getUpgradePlan();
+    if (steps.length === 0) {
+      return '';
+    }
+
+    // Required steps are always checked, optional ones are left to the user
+    return `
+      <p>${this.editor.I18n.t('modal.outdated.steps')}</p>
+      <ul class="${this.getClassName('steps')}">
+        ${steps.map(step => {
+          const stepLabel = this.upgradeEngine.getStepLabel(step);
+          const checked = !step.optional || this.selectedOptionalSteps.includes(stepLabel);
+          return `
+            <li class="${this.getClassName('step')}">
+              <label>
+                <input type="checkbox" ${checked ? 'checked' : ''} ${step.optional ? `data-optional-step="${stepLabel}"` : 'disabled'}>
+                <span>${step.namespace ? `${step.namespace} ${step.builderVersion}` : step.builderVersion}</span>
+                <span class="${this.getClassName('step-kind')}">
+                  ${this.editor.I18n.t(step.optional ? 'modal.outdated.optional' : 'modal.outdated.required')}
+                </span>
+              </label>
+              ${step.description ? `<div class="${this.getClassName('step-description')}">${step.description}</div>` : ''}
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  }
+
   renderUpgradingContent() {
     const currentStep = this.upgradeEngine.getCurrentStep();
     const currentVersion = currentStep ? currentStep.builderVersion : '';
@@ -151,15 +350,80 @@ export default class ModalUI {
               <span class="${this.getClassName('spinner')}"></span>
               ${this.editor.I18n.t('modal.upgrading.current', { version: currentVersion })}
             </div>
+            <div id="${this.getClassName('progress-details')}">
+              ${this.renderProgress()}
+            </div>
           </div>
+          <div id="${this.getClassName('prompt')}"></div>
+          ${this.renderLogToolbar()}
           <div class="${this.getClassName('logs')}" id="${this.getClassName('logs-container')}">
             ${this.renderLogs()}
           </div>
         </div>
+        <div class="${this.getClassName('modal-footer')}">
+          <button class="gjs-btn-secondary" data-action="cancel">
+            ${this.editor.I18n.t('modal.upgrading.cancel')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderPrompt(question) {
+    return `
+      <div class="${this.getClassName('prompt-panel')}">
+        ${question.title ? `<div class="${this.getClassName('prompt-title')}">${question.title}</div>` : ''}
+        ${question.message ? `<p>${question.message}</p>` : ''}
+        <div class="${this.getClassName('prompt-choices')}">
+          ${question.choices.map((choice, index) => `
+            <button class="${choice.value === question.default ? 'gjs-btn-prim' : 'gjs-btn-secondary'}"
+                    data-action="prompt-answer" data-choice="${index}">
+              ${choice.label}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderProgress() {
+    const { stepIndex, stepCount, done, total, label } = this.progress;
+    if (!stepCount) {
+      return '';
+    }
+
+    // Overall progress includes the progress of the current step
+    const stepRatio = total > 0 ? done / total : 0;
+    const overallPercent = Math.round(((Math.max(stepIndex - 1, 0) + stepRatio) / stepCount) * 100);
+    const stepPercent = Math.round(stepRatio * 100);
+
+    return `
+      <div class="${this.getClassName('progress-steps')}">
+        ${this.editor.I18n.t('modal.upgrading.step', { params: { current: stepIndex, total: stepCount } })}
+      </div>
+      ${this.renderProgressBar(overallPercent)}
+      ${total > 0 ? `
+        <div class="${this.getClassName('progress-label')}">
+          ${label ? `${label} ` : ''}(${done} / ${total})
+        </div>
+        ${this.renderProgressBar(stepPercent, 'progress-bar-step')}
+      ` : ''}
+    `;
+  }
+
+  renderProgressBar(percent, modifier = '') {
+    return `
+      <div class="${this.getClassName('progress-bar')}${modifier ? ` ${this.getClassName(modifier)}` : ''}"
+           role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+        <div class="${this.getClassName('progress-bar-fill')}" style="width: ${percent}%"></div>
       </div>
     `;
   }
 
+  createProgress(stepCount = 0, stepIndex = 0) {
+    return { stepCount, stepIndex, done: 0, total: 0, label: '' };
+  }
+
   renderCompletedContent(finalVersion) {
     const hasWhatsNew = this.upgradeEngine.versionManager.hasWhatsNewSteps();
 
@@ -167,11 +431,15 @@ export default class ModalUI {
       <div class="${this.getClassName('modal-content')}">
         <div class="${this.getClassName('modal-body')}">
           <p>${this.editor.I18n.t('modal.completed.message', { params: { version: finalVersion }})}</p>
+          ${this.renderLogToolbar()}
           <div class="${this.getClassName('logs')}" id="${this.getClassName('logs-container')}">
             ${this.renderLogs()}
           </div>
+          ${this.renderBackups()}
         </div>
         <div class="${this.getClassName('modal-footer')}">
+          ${this.renderReportDownload()}
+          ${this.upgradeEngine.getFailedSteps().length > 0 ? this.renderRollbackButton() : ''}
           <button class="gjs-btn-secondary" data-action="close">
             ${this.editor.I18n.t('modal.completed.continueWithoutSaving')}
           </button>
@@ -198,11 +466,15 @@ export default class ModalUI {
           <div class="${this.getClassName('version-info')}">
             Error: ${error.message}
           </div>
+          ${this.renderLogToolbar()}
           <div class="${this.getClassName('logs')}" id="${this.getClassName('logs-container')}">
             ${this.renderLogs()}
           </div>
+          ${this.renderBackups()}
         </div>
         <div class="${this.getClassName('modal-footer')}">
+          ${this.renderReportDownload()}
+          ${this.renderRollbackButton()}
           <button class="gjs-btn-secondary" data-action="close">
             ${this.editor.I18n.t('modal.completed.continueWithoutSaving')}
           </button>
@@ -219,6 +491,166 @@ export default class ModalUI {
     `;
   }
 
+  renderReportDownload() {
+    const formatNames = { json: 'JSON', markdown: 'Markdown', html: 'HTML' };
+
+    return `
+      <div class="${this.getClassName('report')}">
+        <select id="${this.getClassName('report-format')}" title="${this.editor.I18n.t('modal.report.format')}">
+          ${this.upgradeEngine.reportFormatter.getFormats().map(format => `
+            <option value="${format}" ${format === this.reportFormat ? 'selected' : ''}>${formatNames[format]}</option>
+          `).join('')}
+        </select>
+        <button class="gjs-btn-secondary" data-action="download-report">
+          ${this.editor.I18n.t('modal.report.download')}
+        </button>
+      </div>
+    `;
+  }
+
+  renderRollbackButton() {
+    if (!this.upgradeEngine.canRollback()) {
+      return '';
+    }
+
+    return `
+      <button class="gjs-btn-secondary" data-action="rollback">
+        ${this.editor.I18n.t('modal.error.rollback')}
+      </button>
+    `;
+  }
+
+  renderNewerContent(savedVersion, currentVersion, policy) {
+    const policyMessages = {
+      'block-save': 'modal.newer.blockSave',
+      'read-only': 'modal.newer.readOnly',
+      'warn': 'modal.newer.warn'
+    };
+
+    return `
+      <div class="${this.getClassName('modal-content')}">
+        <div class="${this.getClassName('modal-body')}">
+          <p>${this.editor.I18n.t('modal.newer.message')}</p>
+          <div class="${this.getClassName('version-info')}">
+            ${savedVersion} → ${currentVersion}
+          </div>
+          <p><em>${this.editor.I18n.t(policyMessages[policy])}</em></p>
+        </div>
+        <div class="${this.getClassName('modal-footer')}">
+          <button class="gjs-btn-prim" data-action="close">
+            ${this.editor.I18n.t('modal.close')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderInterruptedContent(fromVersion, completedVersion) {
+    return `
+      <div class="${this.getClassName('modal-content')}">
+        <div class="${this.getClassName('modal-body')}">
+          <p>${this.editor.I18n.t('modal.interrupted.message')}</p>
+          <div class="${this.getClassName('version-info')}">
+            ${fromVersion || 'Unknown'} → ${completedVersion || 'Unknown'}
+          </div>
+        </div>
+        <div class="${this.getClassName('modal-footer')}">
+          <button class="gjs-btn-secondary" data-action="restart">
+            ${this.editor.I18n.t('modal.interrupted.restart')}
+          </button>
+          <button class="gjs-btn-prim" data-action="resume">
+            ${this.editor.I18n.t('modal.interrupted.resume')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderLockedContent() {
+    return `
+      <div class="${this.getClassName('modal-content')}">
+        <div class="${this.getClassName('modal-body')}">
+          <p>
+            <span class="${this.getClassName('spinner')}"></span>
+            ${this.editor.I18n.t('modal.locked.message')}
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  renderHistoryContent() {
+    // Most recent first
+    const history = this.upgradeEngine.versionManager.getHistory().reverse();
+
+    return `
+      <div class="${this.getClassName('modal-content')}">
+        <div class="${this.getClassName('modal-body')}">
+          ${history.length === 0 ? `
+            <p>${this.editor.I18n.t('modal.history.empty')}</p>
+          ` : `
+            <div class="${this.getClassName('logs')}">
+              ${history.map(entry => this.renderHistoryEntry(entry)).join('')}
+            </div>
+          `}
+          ${this.renderBackups()}
+        </div>
+        <div class="${this.getClassName('modal-footer')}">
+          <button class="gjs-btn-prim" data-action="close">
+            ${this.editor.I18n.t('modal.close')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderBackups() {
+    // Most recent first
+    const backups = this.upgradeEngine.getBackups().reverse();
+    if (backups.length === 0) {
+      return '';
+    }
+
+    return `
+      <p>${this.editor.I18n.t('modal.backups.title')}</p>
+      <div class="${this.getClassName('logs')}">
+        ${backups.map(backup => `
+          <div class="${this.getClassName('history-entry')} ${this.getClassName('history-summary')}">
+            <span>${backup.fromVersion || 'Unknown'}</span>
+            <span class="${this.getClassName('history-date')}">${new Date(backup.createdAt).toLocaleString()}</span>
+            <button class="gjs-btn-secondary" data-action="restore-backup" data-backup="${backup.id}">
+              ${this.editor.I18n.t('modal.backups.restore')}
+            </button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderHistoryEntry(entry) {
+    const status = entry.cancelled ? 'cancelled' : (entry.success ? 'success' : 'failed');
+    const level = status === 'success' ? 'info' : 'error';
+    const logs = entry.logs || {};
+
+    return `
+      <div class="${this.getClassName('history-entry')}">
+        <div class="${this.getClassName('history-summary')}">
+          <span class="${this.getClassName('log-level')} ${this.getClassName('log-level-' + level)}">
+            ${this.editor.I18n.t('modal.history.' + status)}
+          </span>
+          <span>${entry.fromVersion || 'Unknown'} → ${entry.toVersion || 'Unknown'}</span>
+          <span class="${this.getClassName('history-date')}">${new Date(entry.finishedAt).toLocaleString()}</span>
+        </div>
+        <div class="${this.getClassName('history-details')}">
+          ${this.editor.I18n.t('modal.history.logs', { params: { info: logs.info || 0, warn: logs.warn || 0, error: logs.error || 0 } })}
+          ${entry.failedSteps && entry.failedSteps.length > 0 ? `
+            <br>${this.editor.I18n.t('modal.history.failedSteps', { params: { versions: entry.failedSteps.join(', ') } })}
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
   renderFirstRunContent() {
     const hasWhatsNew = this.upgradeEngine.versionManager.hasWhatsNewSteps();
 
@@ -242,20 +674,93 @@ export default class ModalUI {
     `;
   }
 
+  renderLogToolbar() {
+    return `
+      <div class="${this.getClassName('log-toolbar')}">
+        <span id="${this.getClassName('log-filters')}">${this.renderLogFilters()}</span>
+        <input type="search" id="${this.getClassName('log-search')}" class="${this.getClassName('log-search')}"
+               placeholder="${this.editor.I18n.t('modal.logs.search')}" value="${this.upgradeEngine.reportFormatter.escapeHTML(this.logSearch)}">
+        <button class="gjs-btn-secondary" data-action="copy-logs">
+          ${this.editor.I18n.t('modal.logs.copy')}
+        </button>
+      </div>
+    `;
+  }
+
+  renderLogFilters() {
+    const counts = this.upgradeEngine.summarizeLogs(this.upgradeEngine.getAllLogs());
+
+    return FILTERED_LOG_LEVELS.map(level => `
+      <button class="${this.getClassName('log-filter')} ${this.getClassName('log-level-' + level)} ${this.logLevels[level] ? 'active' : ''}"
+              data-action="toggle-log-level" data-level="${level}" aria-pressed="${this.logLevels[level]}">
+        ${this.editor.I18n.t('log.level.' + level)} ${counts[level]}
+      </button>
+    `).join('');
+  }
+
   renderLogs() {
     const logs = this.upgradeEngine.getAllLogs();
     if (logs.length === 0) {
       return '<p style="padding: 12px; margin: 0; color: #666;">No logs yet...</p>';
     }
 
-    return logs.map(log => `
+    const groups = this.getVisibleLogGroups();
+    if (groups.length === 0) {
+      return `<p style="padding: 12px; margin: 0; color: #666;">${this.editor.I18n.t('modal.logs.noMatch')}</p>`;
+    }
+
+    return groups.map(group => {
+      const key = group.label || '';
+      const counts = this.upgradeEngine.summarizeLogs(group.logs);
+
+      return `
+        <div class="${this.getClassName('log-group')} ${this.collapsedLogGroups.has(key) ? '' : 'open'}">
+          <div class="${this.getClassName('log-group-header')}" data-action="toggle-log-group" data-group="${key}">
+            <span class="${this.getClassName('collapsible-arrow')}">▶</span>
+            <span>${group.label || this.editor.I18n.t('modal.logs.general')}</span>
+            <span class="${this.getClassName('log-counts')}">
+              ${this.editor.I18n.t('modal.history.logs', { params: counts })}
+            </span>
+          </div>
+          <div class="${this.getClassName('log-group-content')}">
+            ${group.entries.map(({ log, index }) => this.renderLogEntry(log, index)).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  getVisibleLogGroups() {
+    // Entries keep the index of the log, which the links to the project use
+    return this.upgradeEngine.getLogGroups()
+      .map(group => ({
+        ...group,
+        entries: group.logs
+          .map((log, index) => ({ log, index: group.start + index }))
+          .filter(({ log }) => this.isLogVisible(log))
+      }))
+      .filter(group => group.entries.length > 0);
+  }
+
+  isLogVisible(log) {
+    if (this.logLevels[log.level] === false) return false;
+
+    const search = this.logSearch.trim().toLowerCase();
+    return !search || String(log.message).toLowerCase().includes(search);
+  }
+
+  renderLogEntry(log, index) {
+    return `
       <div class="${this.getClassName('log-entry')}">
         <span class="${this.getClassName('log-level')} ${this.getClassName('log-level-' + log.level)}">
           ${this.editor.I18n.t('log.level.' + log.level)}
         </span>
-        <span>${log.message}</span>
+        ${log.componentId || log.ruleSelector ? `
+          <a href="#" class="${this.getClassName('log-link')}" data-action="show-log-target" data-log="${index}"
+             title="${this.editor.I18n.t('modal.logs.show')}">${log.message}</a>
+        ` : `<span>${log.message}</span>`}
       </div>
-    `).join('');
+    `;
   }
 
   updateCurrentUpgradeStep(version) {
@@ -268,16 +773,292 @@ export default class ModalUI {
     }
   }
 
+  defer() {
+    this.upgradeEngine.versionManager.defer();
+    this.hide();
+    this.showDeferred();
+  }
+
+  showDeferred() {
+    const deferredAt = this.upgradeEngine.versionManager.getDeferredAt();
+    const remindAt = new Date(Date.parse(deferredAt) + this.options.deferInterval).toISOString();
+    // Longer delays overflow setTimeout, the reminder then shows on a later load
+    const delay = Math.min(Math.max(0, Date.parse(remindAt) - Date.now()), MAX_TIMEOUT);
+
+    this.showResumeButton();
+    clearTimeout(this.reminderTimeout);
+    this.reminderTimeout = setTimeout(() => this.resumeDeferred(), delay);
+
+    this.eventSystem.emit('version:deferred', { deferredAt, remindAt });
+  }
+
+  async resumeDeferred() {
+    const { versionManager } = this.upgradeEngine;
+
+    clearTimeout(this.reminderTimeout);
+    this.reminderTimeout = null;
+    this.hideResumeButton();
+    versionManager.clearDeferral();
+
+    // Like on load, the modal holds the lock until it is closed
+    if (!(await this.upgradeEngine.acquireLock())) return;
+
+    this.eventSystem.emit('version:outdated', {
+      savedVersion: versionManager.getSavedVersion(),
+      currentVersion: this.options.builderVersion
+    });
+  }
+
+  showResumeButton() {
+    const { Panels } = this.editor;
+    if (!Panels || Panels.getButton(this.options.deferPanel, this.getClassName('resume'))) return;
+
+    Panels.addButton(this.options.deferPanel, {
+      id: this.getClassName('resume'),
+      className: this.getClassName('resume-button'),
+      label: this.editor.I18n.t('modal.deferred.resume'),
+      attributes: { title: this.editor.I18n.t('modal.deferred.title') },
+      togglable: false,
+      command: () => this.resumeDeferred()
+    });
+  }
+
+  hideResumeButton() {
+    const { Panels } = this.editor;
+    if (Panels) {
+      Panels.removeButton(this.options.deferPanel, this.getClassName('resume'));
+    }
+  }
+
+  minimize() {
+    if (!this.modal) return;
+
+    // Closed without ending the flow, the upgrade keeps running and the lock is kept
+    this.modal = null;
+    this.minimized = true;
+    this.editor.Modal.close();
+    this.showExpandButton();
+  }
+
+  expand() {
+    if (!this.minimized) return;
+
+    if (this.currentState === this.states.UPGRADING) {
+      // The steps went on while the modal was minimized
+      this.showUpgradingState();
+    } else {
+      this.updateModal(this.modalContent);
+    }
+
+    const container = document.getElementById(this.getClassName('prompt'));
+    if (this.pendingPrompt && container) {
+      container.innerHTML = this.renderPrompt(this.pendingPrompt.question);
+    }
+  }
+
+  showExpandButton() {
+    const { Panels } = this.editor;
+    if (!Panels || Panels.getButton(this.options.deferPanel, this.getClassName('expand'))) return;
+
+    Panels.addButton(this.options.deferPanel, {
+      id: this.getClassName('expand'),
+      className: this.getClassName('resume-button'),
+      label: this.editor.I18n.t('modal.minimized.expand'),
+      attributes: { title: this.editor.I18n.t('modal.minimized.title') },
+      togglable: false,
+      command: () => this.expand()
+    });
+  }
+
+  hideExpandButton() {
+    const { Panels } = this.editor;
+    if (Panels) {
+      Panels.removeButton(this.options.deferPanel, this.getClassName('expand'));
+    }
+  }
+
+  showLogTarget(log) {
+    // The canvas is under the modal
+    this.minimize();
+
+    const { Pages, Canvas, StyleManager } = this.editor;
+    const component = log.componentId ? this.queries.getComponentById(log.componentId) : null;
+    const page = (log.pageId && Pages ? Pages.get(log.pageId) : null) || (component && component.page) || null;
+    const scroll = () => {
+      if (component && Canvas) {
+        Canvas.scrollTo(component, { behavior: 'smooth' });
+      }
+    };
+
+    if (page && Pages.getSelected() !== page) {
+      // The component is rendered once the frame of its page is loaded
+      this.editor.once('canvas:frame:load:body', scroll);
+      Pages.select(page);
+    } else {
+      scroll();
+    }
+
+    if (component) {
+      this.editor.select(component);
+    } else if (log.ruleSelector && StyleManager) {
+      StyleManager.select(log.ruleSelector);
+    } else if (log.componentId) {
+      console.warn(`[grapesjs-version-flow] Component ${log.componentId} of the log is not in the project anymore`);
+    }
+  }
+
+  async restoreBackup(id) {
+    try {
+      await this.upgradeEngine.restoreBackup(id);
+      this.hide();
+    } catch (error) {
+      console.error('[grapesjs-version-flow] Failed to restore the backup:', error);
+    }
+  }
+
+  downloadReport(format = this.reportFormat) {
+    const report = this.upgradeEngine.getReport();
+    if (!report) return;
+
+    const { reportFormatter } = this.upgradeEngine;
+    const blob = new Blob([reportFormatter.format(report, format)], { type: reportFormatter.getMimeType(format) });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = reportFormatter.getFileName(report, format);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async reloadProject() {
+    // The other tab stored the upgraded project
+    this.hide();
+    await this.editor.load();
+  }
+
+  showPrompt(question, { signal = null } = {}) {
+    const container = document.getElementById(this.getClassName('prompt'));
+    // A minimized modal shows the question once it is expanded
+    if (!container && !this.minimized) {
+      return Promise.resolve(undefined);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.clearPrompt();
+        reject(signal.reason);
+      };
+
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      this.pendingPrompt = {
+        question,
+        resolve: (value) => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve(value);
+        }
+      };
+      if (container) {
+        container.innerHTML = this.renderPrompt(question);
+      }
+    });
+  }
+
+  answerPrompt(index) {
+    if (!this.pendingPrompt) return;
+
+    // Without a choice, the step gets the default answer
+    const { question, resolve } = this.pendingPrompt;
+    const choice = index === null ? undefined : question.choices[index] || question.choices[0];
+    this.clearPrompt();
+
+    resolve(choice && choice.value);
+  }
+
+  clearPrompt() {
+    this.pendingPrompt = null;
+
+    const container = document.getElementById(this.getClassName('prompt'));
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+
+  updateProgress() {
+    const progressDetails = document.getElementById(this.getClassName('progress-details'));
+    if (progressDetails) {
+      progressDetails.innerHTML = this.renderProgress();
+    }
+  }
+
   addLogs(logs) {
     if (!logs || logs.length === 0) return;
 
+    this.refreshLogs();
     const logsContainer = document.getElementById(this.getClassName('logs-container'));
     if (logsContainer) {
-      logsContainer.innerHTML = this.renderLogs();
       logsContainer.scrollTop = logsContainer.scrollHeight;
     }
   }
 
+  refreshLogs() {
+    const logsContainer = document.getElementById(this.getClassName('logs-container'));
+    if (logsContainer) {
+      logsContainer.innerHTML = this.renderLogs();
+    }
+
+    // The search box keeps the focus, only the counts change
+    const filters = document.getElementById(this.getClassName('log-filters'));
+    if (filters) {
+      filters.innerHTML = this.renderLogFilters();
+    }
+  }
+
+  toggleLogLevel(level) {
+    this.logLevels[level] = !this.logLevels[level];
+    this.refreshLogs();
+  }
+
+  toggleLogGroup(key) {
+    if (this.collapsedLogGroups.has(key)) {
+      this.collapsedLogGroups.delete(key);
+    } else {
+      this.collapsedLogGroups.add(key);
+    }
+    this.refreshLogs();
+  }
+
+  setLogSearch(search) {
+    this.logSearch = search;
+    this.refreshLogs();
+  }
+
+  getLogsText() {
+    // The logs as filtered in the modal, by step
+    return this.getVisibleLogGroups().map(group => [
+      group.label || this.editor.I18n.t('modal.logs.general'),
+      ...group.entries.map(({ log }) => `[${log.level}] ${log.message}`)
+    ].join('\n')).join('\n\n');
+  }
+
+  async copyLogs() {
+    try {
+      await navigator.clipboard.writeText(this.getLogsText());
+    } catch (error) {
+      console.error('[grapesjs-version-flow] Failed to copy the logs:', error);
+    }
+  }
+
   injectDefaultStyles() {
     const existingStyle = document.querySelector('[data-gjs-version-flow]');
 
@@ -294,10 +1075,11 @@ export default class ModalUI {
 
   }
 
-  async startUpgrade() {
+  async startUpgrade(run = () => this.upgradeEngine.runUpgrades()) {
+    this.closedRun = null;
     try {
       this.showUpgradingState();
-      const result = await this.upgradeEngine.runUpgrades();
+      const result = await run();
 
       // Check if result is valid
       if (!result) {
@@ -306,6 +1088,11 @@ export default class ModalUI {
         return;
       }
 
+      if (result.cancelled) {
+        this.showErrorState(result.failedSteps[result.failedSteps.length - 1], { message: result.error });
+        return;
+      }
+
       // Always show completed state since we continue on error
       this.showCompletedState(result.upgradedTo);
     } catch (error) {
@@ -319,7 +1106,7 @@ export default class ModalUI {
   async showWhatsNew() {
     try {
       // Save the site and close modal before running whatsNew
-      this.editor.store();
+      await this.editor.store();
       this.hide();
 
       // Wait a moment for modal to close, then run whatsNew
@@ -341,27 +1128,78 @@ export default class ModalUI {
     this.saveNowChecked = checked;
   }
 
+  setOptionalStep(stepLabel, checked) {
+    this.selectedOptionalSteps = this.selectedOptionalSteps.filter(selected => selected !== stepLabel);
+    if (checked) {
+      this.selectedOptionalSteps.push(stepLabel);
+    }
+  }
+
   attachEventListeners() {
+    if (this.hasDocumentListeners) return;
+    this.hasDocumentListeners = true;
+
     // Use document delegation since modal content is dynamic
     document.addEventListener('click', async (e) => {
       // Only handle clicks if our modal is open
       if (!this.modal) return;
 
-      const action = e.target.getAttribute('data-action');
-      if (!action) return;
+      // Clicks on the content of an element with an action, e.g. the header of a log group
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      const action = target.getAttribute('data-action');
 
       switch (action) {
         case 'close':
           this.hide();
           break;
+        case 'later':
+          this.defer();
+          break;
         case 'upgrade':
-          this.startUpgrade();
+          this.startUpgrade(() => this.upgradeEngine.runUpgrades({ optionalSteps: this.selectedOptionalSteps }));
           break;
         case 'whats-new':
           this.showWhatsNew();
           break;
+        case 'resume':
+          this.startUpgrade(() => this.upgradeEngine.resume());
+          break;
+        case 'restart':
+          this.startUpgrade(() => this.upgradeEngine.restart());
+          break;
+        case 'cancel':
+          this.upgradeEngine.cancel();
+          break;
+        case 'prompt-answer':
+          this.answerPrompt(Number(target.getAttribute('data-choice')));
+          break;
+        case 'show-log-target':
+          e.preventDefault();
+          this.showLogTarget(this.upgradeEngine.getAllLogs()[Number(target.getAttribute('data-log'))]);
+          break;
+        case 'toggle-log-level':
+          this.toggleLogLevel(target.getAttribute('data-level'));
+          break;
+        case 'toggle-log-group':
+          this.toggleLogGroup(target.getAttribute('data-group'));
+          break;
+        case 'copy-logs':
+          await this.copyLogs();
+          break;
+        case 'download-report':
+          this.downloadReport();
+          break;
+        case 'restore-backup':
+          await this.restoreBackup(target.getAttribute('data-backup'));
+          break;
+        case 'rollback':
+          this.upgradeEngine.rollback();
+          this.hide();
+          break;
         case 'save-and-close':
-          this.editor.store();
+          // Other tabs reload the project once it is stored
+          await this.editor.store();
           this.hide();
           break;
         case 'save-and-whats-new':
@@ -378,6 +1216,23 @@ export default class ModalUI {
       if (e.target.matches(`#${this.getClassName('save-now')}`)) {
         this.setSaveNow(e.target.checked);
       }
+
+      if (e.target.matches(`#${this.getClassName('report-format')}`)) {
+        this.reportFormat = e.target.value;
+      }
+
+      if (e.target.matches('[data-optional-step]')) {
+        this.setOptionalStep(e.target.getAttribute('data-optional-step'), e.target.checked);
+      }
+    });
+
+    document.addEventListener('input', (e) => {
+      // Only handle input if our modal is open
+      if (!this.modal) return;
+
+      if (e.target.matches(`#${this.getClassName('log-search')}`)) {
+        this.setLogSearch(e.target.value);
+      }
     });
   }
 
@@ -405,6 +1260,19 @@ export default class ModalUI {
         background-color: var(--gjs-secondary-dark-color);
       }
 
+      .${classPrefix}-report {
+        display: flex;
+        gap: var(--gjs-flex-item-gap);
+        margin-right: auto;
+      }
+
+      .${classPrefix}-report select {
+        background-color: var(--gjs-main-dark-color);
+        color: var(--gjs-font-color);
+        border: 1px solid var(--gjs-light-border);
+        border-radius: 2px;
+      }
+
       .${classPrefix}-version-info {
         margin: 12px 0;
         padding: 12px;
@@ -426,6 +1294,84 @@ export default class ModalUI {
         color: var(--gjs-font-color);
       }
 
+      .${classPrefix}-progress-steps,
+      .${classPrefix}-progress-label {
+        margin: 8px 0 4px;
+        color: var(--gjs-font-color);
+      }
+
+      .${classPrefix}-progress-bar {
+        height: 6px;
+        border-radius: 2px;
+        overflow: hidden;
+        background-color: var(--gjs-main-dark-color);
+        border: 1px solid var(--gjs-light-border);
+      }
+
+      .${classPrefix}-progress-bar-step {
+        height: 4px;
+      }
+
+      .${classPrefix}-progress-bar-fill {
+        height: 100%;
+        background-color: var(--gjs-color-blue);
+        transition: width 0.2s;
+      }
+
+      .${classPrefix}-resume-button {
+        width: auto;
+        padding: 0 8px;
+        border-radius: 2px;
+        background-color: var(--gjs-color-yellow);
+        color: var(--gjs-main-dark-color);
+        font-size: 0.9em;
+      }
+
+      .${classPrefix}-steps {
+        list-style: none;
+        margin: 8px 0;
+        padding: 0;
+        border: 1px solid var(--gjs-light-border);
+        border-radius: 2px;
+      }
+
+      .${classPrefix}-step {
+        padding: 8px 12px;
+        border-bottom: 1px solid var(--gjs-light-border);
+      }
+
+      .${classPrefix}-step:last-child {
+        border-bottom: none;
+      }
+
+      .${classPrefix}-step-kind,
+      .${classPrefix}-step-description {
+        opacity: 0.7;
+        font-size: 0.9em;
+      }
+
+      .${classPrefix}-step-description {
+        margin: 4px 0 0 24px;
+      }
+
+      .${classPrefix}-prompt-panel {
+        margin: 16px 0;
+        padding: 12px;
+        border-radius: 2px;
+        border: 1px solid var(--gjs-color-blue);
+        background-color: var(--gjs-main-dark-color);
+      }
+
+      .${classPrefix}-prompt-title {
+        font-weight: bold;
+      }
+
+      .${classPrefix}-prompt-choices {
+        display: flex;
+        gap: var(--gjs-flex-item-gap);
+        justify-content: flex-end;
+      }
+
       .${classPrefix}-spinner {
         display: inline-block;
         width: 16px;
@@ -452,6 +1398,73 @@ export default class ModalUI {
         color: var(--gjs-font-color);
       }
 
+      .${classPrefix}-log-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 16px;
+      }
+
+      .${classPrefix}-log-toolbar + .${classPrefix}-logs {
+        margin-top: 8px;
+      }
+
+      .${classPrefix}-log-filter {
+        padding: 2px 6px;
+        margin-right: 4px;
+        border: none;
+        border-radius: 2px;
+        font-size: 10px;
+        font-weight: bold;
+        text-transform: uppercase;
+        cursor: pointer;
+        opacity: 0.4;
+      }
+
+      .${classPrefix}-log-filter.active {
+        opacity: 1;
+      }
+
+      .${classPrefix}-log-search {
+        flex: 1;
+        padding: 4px 6px;
+        border: 1px solid var(--gjs-light-border);
+        border-radius: 2px;
+        background-color: var(--gjs-main-dark-color);
+        color: var(--gjs-font-color);
+      }
+
+      .${classPrefix}-log-group-header {
+        padding: 6px 12px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-family: monospace;
+        font-weight: bold;
+        cursor: pointer;
+        user-select: none;
+        background-color: var(--gjs-secondary-dark-color);
+        border-bottom: 1px solid var(--gjs-light-border);
+      }
+
+      .${classPrefix}-log-counts {
+        margin-left: auto;
+        font-weight: normal;
+        opacity: 0.7;
+      }
+
+      .${classPrefix}-log-group-content {
+        display: none;
+      }
+
+      .${classPrefix}-log-group.open .${classPrefix}-log-group-content {
+        display: block;
+      }
+
+      .${classPrefix}-log-group.open .${classPrefix}-collapsible-arrow {
+        transform: rotate(90deg);
+      }
+
       .${classPrefix}-log-entry {
         padding: 6px 12px;
         border-bottom: 1px solid var(--gjs-light-border);
@@ -461,6 +1474,12 @@ export default class ModalUI {
         align-items: center;
       }
 
+      .${classPrefix}-log-link {
+        color: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
       .${classPrefix}-log-entry:last-child {
         border-bottom: none;
       }
@@ -489,6 +1508,38 @@ export default class ModalUI {
         color: white;
       }
 
+      .${classPrefix}-log-level-skipped {
+        background: var(--gjs-secondary-dark-color);
+        color: var(--gjs-font-color);
+        border: 1px solid var(--gjs-light-border);
+      }
+
+      .${classPrefix}-history-entry {
+        padding: 8px 12px;
+        border-bottom: 1px solid var(--gjs-light-border);
+      }
+
+      .${classPrefix}-history-entry:last-child {
+        border-bottom: none;
+      }
+
+      .${classPrefix}-history-summary {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-family: monospace;
+      }
+
+      .${classPrefix}-history-date {
+        margin-left: auto;
+        opacity: 0.7;
+      }
+
+      .${classPrefix}-history-details {
+        margin-top: 4px;
+        opacity: 0.7;
+      }
+
       .${classPrefix}-checkbox {
         display: flex;
         align-items: center;
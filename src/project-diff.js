@@ -0,0 +1,115 @@
+export default class ProjectDiff {
+  compare(before, after) {
+    return {
+      pages: this.compareMaps(this.collectPages(before), this.collectPages(after)),
+      components: this.compareMaps(this.collectComponents(before), this.collectComponents(after)),
+      styles: this.compareMaps(this.collectStyles(before), this.collectStyles(after))
+    };
+  }
+
+  hasChanges(diff) {
+    return Object.values(diff).some(({ added, removed, changed }) =>
+      added.length > 0 || removed.length > 0 || changed.length > 0
+    );
+  }
+
+  compareMaps(beforeMap, afterMap) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, value] of afterMap) {
+      if (!beforeMap.has(key)) {
+        added.push(key);
+      } else if (beforeMap.get(key) !== value) {
+        changed.push(key);
+      }
+    }
+
+    for (const key of beforeMap.keys()) {
+      if (!afterMap.has(key)) {
+        removed.push(key);
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  collectPages(projectData) {
+    const pages = new Map();
+
+    this.getPages(projectData).forEach((page, index) => {
+      const { frames, ...props } = page;
+      pages.set(this.getPageKey(page, index), JSON.stringify(props));
+    });
+
+    return pages;
+  }
+
+  collectComponents(projectData) {
+    const components = new Map();
+
+    this.getPages(projectData).forEach((page, pageIndex) => {
+      const pageKey = this.getPageKey(page, pageIndex);
+      (page.frames || []).forEach((frame, frameIndex) => {
+        if (frame && frame.component) {
+          this.collectComponentTree(frame.component, `${pageKey}/${frameIndex}`, components);
+        }
+      });
+    });
+
+    return components;
+  }
+
+  collectComponentTree(component, key, components) {
+    if (!component || typeof component !== 'object') {
+      return;
+    }
+
+    const { components: children, ...props } = component;
+    components.set(key, JSON.stringify(props));
+
+    if (Array.isArray(children)) {
+      children.forEach((child, index) => {
+        const childId = child && child.attributes && child.attributes.id;
+        this.collectComponentTree(child, `${key}/${childId ? `#${childId}` : index}`, components);
+      });
+    }
+  }
+
+  collectStyles(projectData) {
+    const styles = new Map();
+    const rules = (projectData && Array.isArray(projectData.styles)) ? projectData.styles : [];
+
+    rules.forEach((rule, index) => {
+      let key = this.getStyleKey(rule) || `${index}`;
+      // Identical selectors may appear more than once, keep them apart
+      while (styles.has(key)) {
+        key = `${key}+`;
+      }
+      styles.set(key, JSON.stringify(rule.style || {}));
+    });
+
+    return styles;
+  }
+
+  getStyleKey(rule) {
+    if (!rule) return '';
+
+    const selectors = rule.selectorsAdd || (rule.selectors || [])
+      .map(selector => typeof selector === 'string' ? selector : `.${selector.name}`)
+      .join('');
+    const state = rule.state ? `:${rule.state}` : '';
+    const media = rule.mediaText ? `@${rule.atRuleType || 'media'} ${rule.mediaText} ` : '';
+
+    return `${media}${selectors}${state}`;
+  }
+
+  getPages(projectData) {
+    return (projectData && Array.isArray(projectData.pages)) ? projectData.pages : [];
+  }
+
+  getPageKey(page, index) {
+    return (page && page.id) || `page-${index}`;
+  }
+}
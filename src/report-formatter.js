@@ -0,0 +1,183 @@
+// Turns the report of an upgrade run into a file to share, e.g. with support
+const FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+export default class ReportFormatter {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  format(report, format = 'json') {
+    this.getFormat(format);
+
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(report);
+      case 'html':
+        return this.toHTML(report);
+      default:
+        return JSON.stringify(report, null, 2);
+    }
+  }
+
+  getFileName(report, format = 'json') {
+    const name = [report.environment.projectId, report.fromVersion || 'unversioned', report.toVersion]
+      .filter(part => part)
+      .join('-')
+      .replace(/[^\w.-]+/g, '_');
+    return `upgrade-report-${name}.${this.getFormat(format).extension}`;
+  }
+
+  getMimeType(format = 'json') {
+    return this.getFormat(format).mimeType;
+  }
+
+  getFormat(format) {
+    if (!FORMATS[format]) {
+      throw new Error(`[grapesjs-version-flow] Unknown report format "${format}", use one of ${this.getFormats().join(', ')}`);
+    }
+    return FORMATS[format];
+  }
+
+  toMarkdown(report) {
+    const lines = [
+      `# Upgrade report: ${report.fromVersion || 'Unknown'} → ${report.toVersion}`,
+      '',
+      `- Status: ${this.getStatus(report)}`,
+      `- Direction: ${report.direction}`,
+      `- Target version: ${report.targetVersion}`,
+      `- Started: ${report.startedAt}`,
+      `- Duration: ${this.formatDuration(report.duration)}`
+    ];
+    if (report.error) {
+      lines.push(`- Error: ${report.error}`);
+    }
+    if (report.failedSteps.length > 0) {
+      lines.push(`- Failed steps: ${report.failedSteps.join(', ')}`);
+    }
+
+    lines.push('', '## Steps', '', '| Step | Status | Duration | Info | Warnings | Errors |', '|------|--------|----------|------|----------|--------|');
+    report.steps.forEach(step => {
+      const counts = this.countLogs(step.logs);
+      lines.push(`| ${this.escapeMarkdown(step.label)} | ${step.status} | ${this.formatDuration(step.duration)} | ${counts.info} | ${counts.warn} | ${counts.error} |`);
+    });
+
+    this.groupLogs(report).forEach(({ title, logs }) => {
+      lines.push('', `## ${title}`, '');
+      if (logs.length === 0) {
+        lines.push('No logs');
+      }
+      logs.forEach(log => lines.push(`- **${log.level}** ${log.message}${this.describeTarget(log)}`));
+    });
+
+    lines.push('', '## Environment', '');
+    Object.entries(report.environment).forEach(([key, value]) => {
+      lines.push(`- ${key}: ${value === null ? 'Unknown' : value}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  toHTML(report) {
+    const escape = value => this.escapeHTML(value);
+    const title = `Upgrade report: ${report.fromVersion || 'Unknown'} → ${report.toVersion}`;
+    const renderLogs = logs => logs.length === 0 ? '<p>No logs</p>' : `
+      <ul class="logs">
+        ${logs.map(log => `<li class="${escape(log.level)}"><strong>${escape(log.level)}</strong> ${escape(log.message + this.describeTarget(log))}</li>`).join('')}
+      </ul>`;
+
+    // Standalone page, the styles go with it
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #333; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    .logs { font-family: monospace; list-style: none; padding: 0; }
+    .warn { color: #b45309; }
+    .error, .failed { color: #b91c1c; }
+    .skipped, .declined { color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <ul>
+    <li>Status: <span class="${report.success ? 'success' : 'failed'}">${escape(this.getStatus(report))}</span></li>
+    <li>Direction: ${escape(report.direction)}</li>
+    <li>Target version: ${escape(report.targetVersion)}</li>
+    <li>Started: ${escape(report.startedAt)}</li>
+    <li>Duration: ${escape(this.formatDuration(report.duration))}</li>
+    ${report.error ? `<li>Error: ${escape(report.error)}</li>` : ''}
+    ${report.failedSteps.length > 0 ? `<li>Failed steps: ${escape(report.failedSteps.join(', '))}</li>` : ''}
+  </ul>
+  <h2>Steps</h2>
+  <table>
+    <tr><th>Step</th><th>Status</th><th>Duration</th><th>Info</th><th>Warnings</th><th>Errors</th></tr>
+    ${report.steps.map(step => {
+      const counts = this.countLogs(step.logs);
+      return `<tr><td>${escape(step.label)}</td><td class="${escape(step.status)}">${escape(step.status)}</td><td>${escape(this.formatDuration(step.duration))}</td><td>${counts.info}</td><td>${counts.warn}</td><td>${counts.error}</td></tr>`;
+    }).join('')}
+  </table>
+  ${this.groupLogs(report).map(({ title: groupTitle, logs }) => `<h2>${escape(groupTitle)}</h2>${renderLogs(logs)}`).join('\n  ')}
+  <h2>Environment</h2>
+  <ul>
+    ${Object.entries(report.environment).map(([key, value]) => `<li>${escape(key)}: ${escape(value === null ? 'Unknown' : value)}</li>`).join('')}
+  </ul>
+</body>
+</html>
+`;
+  }
+
+  groupLogs(report) {
+    // Logs written outside of the steps, e.g. the backup and the validators, come last
+    const stepLogs = new Set(report.steps.flatMap(step => step.logs));
+    const otherLogs = report.logs.filter(log => !stepLogs.has(log));
+    const groups = report.steps.map(step => ({ title: step.label, logs: step.logs }));
+
+    return otherLogs.length > 0 ? [...groups, { title: 'Other logs', logs: otherLogs }] : groups;
+  }
+
+  describeTarget({ componentId, pageId, ruleSelector }) {
+    const targets = [
+      componentId && `component ${componentId}`,
+      pageId && `page ${pageId}`,
+      ruleSelector && `rule ${ruleSelector}`
+    ].filter(Boolean);
+
+    return targets.length > 0 ? ` (${targets.join(', ')})` : '';
+  }
+
+  countLogs(logs) {
+    return logs.reduce((counts, log) => {
+      counts[log.level] = (counts[log.level] || 0) + 1;
+      return counts;
+    }, { info: 0, warn: 0, error: 0 });
+  }
+
+  getStatus(report) {
+    if (report.cancelled) return 'cancelled';
+    return report.success ? 'success' : 'failed';
+  }
+
+  formatDuration(duration) {
+    return duration < 1000 ? `${duration} ms` : `${(duration / 1000).toFixed(1)} s`;
+  }
+
+  escapeMarkdown(text) {
+    return String(text).replace(/\|/g, '\\|');
+  }
+
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
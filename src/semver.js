@@ -0,0 +1,66 @@
+// Semantic versions as defined by https://semver.org
+// The numeric core may be shortened (1 or 1.2), missing parts count as 0
+const IDENTIFIER = '[0-9A-Za-z-]+';
+const VERSION_PATTERN = new RegExp(
+  '^(0|[1-9]\\d*)(\\.(0|[1-9]\\d*)){0,2}' +
+  `(-${IDENTIFIER}(\\.${IDENTIFIER})*)?` +
+  `(\\+${IDENTIFIER}(\\.${IDENTIFIER})*)?$`
+);
+
+export function isValidVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+export function splitVersion(version) {
+  // Build metadata is ignored when determining precedence
+  const [withoutBuild] = version.toString().split('+');
+  const index = withoutBuild.indexOf('-');
+
+  if (index === -1) {
+    return { core: withoutBuild, prerelease: '' };
+  }
+
+  return {
+    core: withoutBuild.slice(0, index),
+    prerelease: withoutBuild.slice(index + 1)
+  };
+}
+
+export function comparePrerelease(prerelease1, prerelease2) {
+  if (prerelease1 === prerelease2) return 0;
+  // A release has higher precedence than any of its prereleases
+  if (!prerelease1) return 1;
+  if (!prerelease2) return -1;
+
+  const ids1 = prerelease1.split('.');
+  const ids2 = prerelease2.split('.');
+
+  for (let i = 0; i < Math.max(ids1.length, ids2.length); i++) {
+    // A larger set of identifiers has higher precedence when all the preceding ones are equal
+    if (ids1[i] === undefined) return -1;
+    if (ids2[i] === undefined) return 1;
+
+    const result = compareIdentifiers(ids1[i], ids2[i]);
+    if (result !== 0) return result;
+  }
+
+  return 0;
+}
+
+function compareIdentifiers(id1, id2) {
+  const isNumeric1 = /^\d+$/.test(id1);
+  const isNumeric2 = /^\d+$/.test(id2);
+
+  if (isNumeric1 && isNumeric2) {
+    const num1 = parseInt(id1, 10);
+    const num2 = parseInt(id2, 10);
+    return num1 === num2 ? 0 : (num1 < num2 ? -1 : 1);
+  }
+
+  // Numeric identifiers have lower precedence than alphanumeric ones
+  if (isNumeric1) return -1;
+  if (isNumeric2) return 1;
+
+  if (id1 === id2) return 0;
+  return id1 < id2 ? -1 : 1;
+}
@@ -0,0 +1,70 @@
+// Helpers to test version steps against saved projects, e.g. with Jest snapshots
+import HeadlessRunner from './headless-runner';
+import VersionManager from './version-manager';
+import UpgradeEngine from './upgrade-engine';
+
+export function createTestEditor(grapesjs, projectData = {}, editorConfig = {}) {
+  return grapesjs.init({
+    headless: true,
+    storageManager: false,
+    ...editorConfig,
+    projectData
+  });
+}
+
+export function createDataEditor(projectData = {}) {
+  // Stands in for an editor when the steps only use ctx.getProjectData() and ctx.setProjectData(), like the dry runs
+  return new UpgradeEngine(null, {}, null, null).createDetachedEditor(projectData);
+}
+
+export async function runChainOnFixture(versions, projectJson, fromVersion = projectJson.builderVersion, options = {}) {
+  const { grapesjs, editorConfig = {}, compareFn = null } = options;
+  const builderVersion = options.builderVersion || getLatestVersion(versions, compareFn);
+
+  const runner = new HeadlessRunner(grapesjs || { init: ({ projectData }) => createDataEditor(projectData) }, {
+    builderVersion,
+    versions,
+    compareFn,
+    continueOnError: options.continueOnError || false,
+    validators: options.validators || [],
+    editorConfig
+  });
+
+  const fixture = clone(projectJson);
+  if (fromVersion) {
+    fixture.builderVersion = fromVersion;
+  } else {
+    delete fixture.builderVersion;
+  }
+
+  const { projectData, report } = await runner.upgradeProject(fixture);
+
+  // The history has timestamps, which would break the snapshots
+  const { upgradeHistory, ...data } = projectData;
+
+  return {
+    projectData: data,
+    logs: report.logs,
+    success: report.success,
+    upgradedTo: report.toVersion,
+    failedSteps: report.failedSteps
+  };
+}
+
+export function runStepOnFixture(step, projectJson, options = {}) {
+  // The step runs alone, whatever the version of the fixture and the steps it requires
+  const { requires, ...standaloneStep } = step;
+  return runChainOnFixture([standaloneStep], projectJson, null, options);
+}
+
+function getLatestVersion(versions, compareFn) {
+  const versionManager = new VersionManager({ on: () => {} }, { builderVersion: '', versions, compareFn });
+
+  return versions
+    .map(step => step.builderVersion)
+    .reduce((latest, version) => (!latest || versionManager.compareVersions(version, latest) > 0) ? version : latest, null);
+}
+
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
@@ -1,3 +1,12 @@
+import ProjectDiff from './project-diff';
+import MigrationOps from './migration-ops';
+import EditorQueries from './editor-queries';
+import BackupManager from './backup-manager';
+import ReportFormatter from './report-formatter';
+
+// Optional fields of a log entry, which point to what the step changed
+const LOG_DETAILS = ['componentId', 'pageId', 'ruleSelector', 'data'];
+
 export default class UpgradeEngine {
   constructor(editor, options, versionManager, eventSystem) {
     this.editor = editor;
@@ -7,10 +16,24 @@ export default class UpgradeEngine {
     this.isUpgrading = false;
     this.currentStep = null;
     this.allLogs = [];
+    // Index of the first log of each step, to show the logs by step
+    this.logGroups = [];
     this.failedSteps = [];
+    // Details of the last run for the report, its history entry only keeps a summary
+    this.lastRun = null;
+    this.snapshot = null;
+    this.abortController = null;
+    this.migrationOps = new MigrationOps();
+    this.reportFormatter = new ReportFormatter();
+    this.backupManager = new BackupManager(editor, options, versionManager, eventSystem);
+    this.promptHandler = null;
+    this.stopWaitingForLock = null;
+    // The modal holds the lock while it is open, runs started without it only hold it while they run
+    this.holdsLock = false;
+    this.keepLock = false;
   }
 
-  async runUpgrades() {
+  async runUpgrades({ optionalSteps = null } = {}) {
     if (this.isUpgrading) {
       console.warn('[grapesjs-version-flow] Upgrade already in progress');
       return { success: false, logs: [], upgradedTo: this.options.builderVersion, error: 'Upgrade already in progress' };
@@ -18,80 +41,363 @@ export default class UpgradeEngine {
 
     const savedVersion = this.versionManager.getSavedVersion();
     const currentVersion = this.options.builderVersion;
-    const pendingSteps = this.versionManager.getPendingUpgrades(savedVersion, currentVersion);
+    const pendingSteps = this.versionManager.getUpgradePlan(savedVersion, currentVersion);
 
     if (pendingSteps.length === 0) {
       return { success: true, logs: [], upgradedTo: currentVersion };
     }
 
+    return this.runSteps(pendingSteps, { fromVersion: savedVersion, targetVersion: currentVersion, optionalSteps });
+  }
+
+  async resume() {
+    const checkpoint = await this.getCheckpoint();
+    if (!checkpoint) {
+      return this.runUpgrades();
+    }
+
+    const { fromVersion, completedVersion, direction } = checkpoint;
+    const targetVersion = direction === 'downgrade' ? checkpoint.targetVersion : this.options.builderVersion;
+    const pendingSteps = direction === 'downgrade'
+      ? this.versionManager.getPendingDowngrades(completedVersion, targetVersion)
+      : this.versionManager.getUpgradePlan(completedVersion, targetVersion, checkpoint.completedNamespaces);
+    const startSnapshot = await this.options.checkpointStore.get(checkpoint.snapshotId);
+
+    // Checked after the last await, runSteps flags the run right away
+    if (this.isUpgrading) {
+      console.warn('[grapesjs-version-flow] Upgrade already in progress');
+      return { success: false, logs: [], upgradedTo: this.options.builderVersion, error: 'Upgrade already in progress' };
+    }
+
+    // Continue from the project as it was after the last completed step
+    this.restoreSnapshot(checkpoint.data);
+    this.versionManager.setSavedVersion(fromVersion);
+
+    return this.runSteps(pendingSteps, {
+      fromVersion,
+      targetVersion,
+      direction,
+      optionalSteps: checkpoint.optionalSteps,
+      resumeFrom: { ...checkpoint, startSnapshot }
+    });
+  }
+
+  async restart() {
+    const checkpoint = await this.getCheckpoint();
+    const optionalSteps = checkpoint ? checkpoint.optionalSteps : null;
+
+    if (checkpoint) {
+      // Start again from the project as it was before the interrupted run
+      const startSnapshot = await this.options.checkpointStore.get(checkpoint.snapshotId);
+      if (startSnapshot) {
+        this.restoreSnapshot(startSnapshot);
+      }
+      this.versionManager.setSavedVersion(checkpoint.fromVersion);
+      await this.clearCheckpoint();
+    }
+
+    return this.runUpgrades({ optionalSteps });
+  }
+
+  async migrateTo(targetVersion) {
+    if (this.isUpgrading) {
+      console.warn('[grapesjs-version-flow] Upgrade already in progress');
+      return { success: false, logs: [], upgradedTo: this.options.builderVersion, error: 'Upgrade already in progress' };
+    }
+
+    // An outdated project which was not upgraded in this session is still at its saved version
+    const fromVersion = this.versionManager.getProjectVersion();
+    const comparison = fromVersion ? this.versionManager.compareVersions(targetVersion, fromVersion) : 1;
+
+    if (comparison === 0) {
+      return { success: true, logs: [], upgradedTo: fromVersion };
+    }
+
+    const direction = comparison > 0 ? 'upgrade' : 'downgrade';
+    const pendingSteps = direction === 'upgrade'
+      ? this.versionManager.getPendingUpgrades(fromVersion, targetVersion)
+      : this.versionManager.getPendingDowngrades(fromVersion, targetVersion);
+
+    if (pendingSteps.length === 0) {
+      // No step in between, the project data is the same for both versions
+      this.versionManager.updateVersion(targetVersion);
+      if (direction === 'downgrade') {
+        this.versionManager.setSavedVersion(targetVersion);
+      }
+      return { success: true, logs: [], upgradedTo: targetVersion };
+    }
+
+    if (direction === 'upgrade') {
+      return this.runSteps(pendingSteps, { fromVersion, targetVersion });
+    }
+
+    // Check the whole chain can be reverted before touching the project
+    const irreversibleSteps = pendingSteps
+      .filter(step => typeof step.downgrade !== 'function')
+      .map(step => step.builderVersion);
+
+    if (irreversibleSteps.length > 0) {
+      const error = `No downgrade function for ${irreversibleSteps.join(', ')}`;
+      return {
+        success: false,
+        logs: [{ level: 'error', message: `Cannot downgrade to ${targetVersion}: ${error}` }],
+        upgradedTo: fromVersion,
+        failedSteps: irreversibleSteps,
+        error
+      };
+    }
+
+    const result = await this.runSteps(pendingSteps, { fromVersion, targetVersion, direction });
+
+    // This tab made the project older on purpose, the newer version policy must not block its saves
+    if (result.success) {
+      this.versionManager.setSavedVersion(targetVersion);
+    }
+
+    return result;
+  }
+
+  async runSteps(steps, { fromVersion, targetVersion, direction = 'upgrade', optionalSteps = null, resumeFrom = null }) {
+    // Set before waiting for the lock, so that concurrent calls are refused
     this.isUpgrading = true;
-    this.allLogs = [];
+    this.keepLock = this.holdsLock;
+
+    if (!(await this.acquireLock())) {
+      this.isUpgrading = false;
+      return { success: false, logs: [], upgradedTo: fromVersion, error: 'Upgrade running in another tab' };
+    }
+
+    this.allLogs = resumeFrom ? [...resumeFrom.logs] : [];
+    this.logGroups = [];
     this.failedSteps = [];
-    let lastSuccessfulVersion = savedVersion;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    let lastSuccessfulVersion = resumeFrom ? resumeFrom.completedVersion : fromVersion;
+    const completedNamespaces = resumeFrom ? { ...resumeFrom.completedNamespaces } : {};
+
+    // Keep a copy of the project as it was before the run, so it can be restored on failure
+    this.snapshot = {
+      data: resumeFrom ? resumeFrom.startSnapshot : this.takeSnapshot(),
+      version: fromVersion,
+      namespaces: this.versionManager.getNamespaceSavedVersions(),
+      builderVersion: this.options.builderVersion
+    };
+
+    const checkpoint = { fromVersion, targetVersion, direction, optionalSteps };
+    const run = { direction, fromVersion, targetVersion, optionalSteps, startedAt: new Date().toISOString(), steps: [], details: [] };
 
     try {
+      if (!resumeFrom) {
+        await this.createBackup(fromVersion);
+      }
+      // Resumed runs keep the checkpoint they were resumed from, retried runs had theirs cleared
+      if (!resumeFrom || !resumeFrom.snapshotId) {
+        await this.saveCheckpoint({ ...checkpoint, completedVersion: lastSuccessfulVersion, completedNamespaces }, this.snapshot.data);
+      }
+
       this.eventSystem.emit('version:upgrade:start', {
-        pending: pendingSteps.map(step => step.builderVersion)
+        pending: steps.map((step, index) => this.getStepTargetVersion(steps, index, targetVersion, direction))
       });
 
-      for (const step of pendingSteps) {
+      for (const [index, step] of steps.entries()) {
         this.currentStep = step;
-        
+        const toVersion = this.getStepTargetVersion(steps, index, targetVersion, direction);
+        // Steps registered by other plugins run in the same session, with their own version stream
+        const { namespace } = step;
+        const stepLabel = this.getStepLabel(step, toVersion);
+        const namespaceData = namespace ? { namespace } : {};
+        const stepSnapshot = this.options.snapshotEachStep ? this.takeSnapshot() : null;
+        const stepLogStart = this.allLogs.length;
+        this.logGroups.push({ label: stepLabel, start: stepLogStart });
+        const stepStartedAt = new Date();
+        const addStepDetails = (status, error) => {
+          run.details.push({
+            label: stepLabel,
+            version: toVersion,
+            ...namespaceData,
+            status,
+            ...(error ? { error } : {}),
+            startedAt: stepStartedAt.toISOString(),
+            duration: Date.now() - stepStartedAt.getTime(),
+            logs: this.allLogs.slice(stepLogStart)
+          });
+        };
+
+        // Update version but don't save to storage yet
+        const completeStep = async (status) => {
+          if (namespace) {
+            this.versionManager.updateNamespaceVersion(namespace, toVersion);
+            completedNamespaces[namespace] = toVersion;
+          } else if (direction === 'downgrade' || !lastSuccessfulVersion ||
+                     this.versionManager.compareVersions(toVersion, lastSuccessfulVersion) > 0) {
+            // A retried step may come before steps which already succeeded
+            this.versionManager.updateVersion(toVersion);
+            lastSuccessfulVersion = toVersion;
+          }
+          run.steps.push({
+            version: toVersion,
+            ...namespaceData,
+            status,
+            logs: this.summarizeLogs(this.allLogs.slice(stepLogStart))
+          });
+          addStepDetails(status);
+          await this.saveCheckpoint({ ...checkpoint, completedVersion: lastSuccessfulVersion, completedNamespaces });
+        };
+
         try {
+          // Optional steps the user did not select are declined, the project still reaches their version
+          if (direction === 'upgrade' && this.isDeclined(step, optionalSteps)) {
+            const declineLog = this.createStepDeclineLog(stepLabel);
+            this.allLogs.push(declineLog);
+            await completeStep('declined');
+
+            this.eventSystem.emit('version:versionUpgrade:skip', {
+              toVersion,
+              ...namespaceData,
+              log: [declineLog]
+            });
+            continue;
+          }
+
+          // Steps which do not apply to this project are skipped, the project still reaches their version
+          if (direction === 'upgrade' && !(await this.appliesTo(step, this.createUpgradeContext({ signal })))) {
+            const skipLog = this.createStepSkipLog(stepLabel);
+            this.allLogs.push(skipLog);
+            await completeStep('skipped');
+
+            this.eventSystem.emit('version:versionUpgrade:skip', {
+              toVersion,
+              ...namespaceData,
+              log: [skipLog]
+            });
+            continue;
+          }
+
           this.eventSystem.emit('version:versionUpgrade:start', {
-            toVersion: step.builderVersion
+            toVersion,
+            ...namespaceData
           });
 
           let stepLogs;
           try {
-            stepLogs = await this.runSingleUpgrade(step);
+            stepLogs = await this.runSingleUpgrade(step, {
+              direction,
+              toVersion: stepLabel,
+              signal,
+              onProgress: (done, total, label) => {
+                this.eventSystem.emit('version:versionUpgrade:progress', {
+                  toVersion,
+                  ...namespaceData,
+                  done,
+                  total,
+                  label,
+                  stepIndex: index + 1,
+                  stepCount: steps.length
+                });
+              }
+            });
           } catch (upgradeError) {
             // Ensure any error from runSingleUpgrade is caught and handled
             console.error(`[grapesjs-version-flow] Upgrade error caught:`, upgradeError);
             throw upgradeError;
           }
           
-          // Update version but don't save to storage yet
-          this.versionManager.updateVersion(step.builderVersion);
-          lastSuccessfulVersion = step.builderVersion;
+          await completeStep('success');
 
           this.eventSystem.emit('version:versionUpgrade:end', {
-            toVersion: step.builderVersion,
+            toVersion,
+            ...namespaceData,
             log: stepLogs || []
           });
 
         } catch (error) {
           // Get log message from error or use default
           const logMessage = error.message || 'Unknown error occurred';
-          
-          const errorLog = {
-            level: 'error',
-            message: `Failed to upgrade to ${step.builderVersion}: ${logMessage}`
-          };
-          
-          this.allLogs.push(errorLog);
-          this.failedSteps.push(step.builderVersion);
+          const errorLog = this.createStepErrorLog(stepLabel, error, direction);
 
-          this.eventSystem.emit('version:upgrade:error', {
-            toVersion: step.builderVersion,
-            error: {
-              message: logMessage,
-              step: step.builderVersion
-            }
+          this.allLogs.push(errorLog);
+          this.failedSteps.push(this.getStepLabel(step));
+          run.steps.push({
+            version: toVersion,
+            ...namespaceData,
+            status: 'failed',
+            error: logMessage,
+            logs: this.summarizeLogs(this.allLogs.slice(stepLogStart))
           });
 
+          // Undo the partial changes of the failed step
+          if (stepSnapshot) {
+            this.restoreSnapshot(stepSnapshot);
+            this.allLogs.push({
+              level: 'warn',
+              message: `Reverted partial changes of ${this.getStepLabel(step)}`
+            });
+          }
+          addStepDetails('failed', logMessage);
+
+          if (!signal.aborted) {
+            this.eventSystem.emit('version:upgrade:error', {
+              toVersion,
+              ...namespaceData,
+              error: {
+                message: logMessage,
+                step: this.getStepLabel(step)
+              }
+            });
+          }
+
           // Emit the error log so UI can display it
           this.eventSystem.emit('version:versionUpgrade:end', {
-            toVersion: step.builderVersion,
+            toVersion,
+            ...namespaceData,
             log: [errorLog]
           });
 
-          if (!this.options.continueOnError) {
+          if (signal.aborted || !this.options.continueOnError) {
             break;
           }
         }
       }
 
+      // Later logs are not about a step, e.g. the validators
+      this.logGroups.push({ label: null, start: this.allLogs.length });
+
+      if (signal.aborted) {
+        this.eventSystem.emit('version:upgrade:cancelled', {
+          upgradedTo: lastSuccessfulVersion,
+          step: this.failedSteps[this.failedSteps.length - 1]
+        });
+
+        return this.recordHistory(run, {
+          success: false,
+          cancelled: true,
+          logs: this.allLogs,
+          upgradedTo: lastSuccessfulVersion,
+          failedSteps: this.failedSteps,
+          error: signal.reason.message
+        });
+      }
+
+      // Global validators check the project once the whole chain ran
+      if (direction === 'upgrade') {
+        const problems = await this.runValidators(this.createUpgradeContext({ signal }));
+
+        if (problems.length > 0) {
+          problems.forEach(problem => {
+            this.allLogs.push({ level: 'error', message: `Validation failed: ${problem}` });
+          });
+          this.failedSteps.push('validators');
+
+          this.eventSystem.emit('version:upgrade:error', {
+            toVersion: lastSuccessfulVersion,
+            error: {
+              message: problems.join(', '),
+              step: 'validators'
+            }
+          });
+        }
+      }
+
       const hasFailures = this.failedSteps.length > 0;
       
       // Always emit completion since we continue on error
@@ -100,12 +406,12 @@ export default class UpgradeEngine {
         hasFailures: hasFailures
       });
 
-      return {
+      return this.recordHistory(run, {
         success: this.failedSteps.length === 0, // Success only if no steps failed
         logs: this.allLogs,
         upgradedTo: lastSuccessfulVersion,
         failedSteps: this.failedSteps
-      };
+      });
 
     } catch (catastrophicError) {
       // Handle any catastrophic errors that weren't caught by individual step handling
@@ -118,48 +424,482 @@ export default class UpgradeEngine {
       
       this.allLogs.push(errorLog);
       
-      return {
+      return this.recordHistory(run, {
         success: false,
         logs: this.allLogs,
         upgradedTo: lastSuccessfulVersion,
         failedSteps: this.failedSteps,
         error: catastrophicError.message || 'Catastrophic upgrade error'
-      };
+      });
     } finally {
+      // The run is over, there is nothing to resume anymore
+      await this.clearCheckpoint();
+      if (!this.keepLock) {
+        this.releaseLock();
+      }
       this.isUpgrading = false;
       this.currentStep = null;
+      this.abortController = null;
     }
   }
 
-  async runSingleUpgrade(step) {
-    const context = this.createUpgradeContext();
+  recordHistory(run, result) {
+    const finishedAt = new Date().toISOString();
+    this.lastRun = { ...run, finishedAt, result: { ...result, logs: [...result.logs], failedSteps: [...result.failedSteps] } };
+
+    this.versionManager.addHistoryEntry({
+      direction: run.direction,
+      fromVersion: run.fromVersion,
+      toVersion: result.upgradedTo,
+      startedAt: run.startedAt,
+      finishedAt,
+      success: result.success,
+      cancelled: !!result.cancelled,
+      steps: run.steps,
+      failedSteps: [...result.failedSteps],
+      logs: this.summarizeLogs(result.logs)
+    });
+
+    return result;
+  }
+
+  summarizeLogs(logs) {
+    // Counts per level, the messages themselves would make the project data grow on each upgrade
+    return logs.reduce((summary, log) => {
+      summary[log.level] = (summary[log.level] || 0) + 1;
+      return summary;
+    }, { info: 0, warn: 0, error: 0 });
+  }
+
+  async createBackup(fromVersion) {
+    if (!this.backupManager.isEnabled()) return;
+
+    // Best effort, the snapshot still allows a rollback during the session
+    try {
+      const backup = await this.backupManager.create(fromVersion, this.snapshot.namespaces);
+      this.allLogs.push({ level: 'info', message: `Backed up the project as ${backup.id}` });
+    } catch (error) {
+      console.warn('[grapesjs-version-flow] Failed to back up the project:', error);
+      this.allLogs.push({ level: 'warn', message: `Could not back up the project: ${error.message}` });
+    }
+  }
+
+  getBackups() {
+    return this.backupManager.getBackups();
+  }
+
+  async restoreBackup(id) {
+    if (this.isUpgrading) {
+      throw new Error('[grapesjs-version-flow] Cannot restore a backup during an upgrade');
+    }
+
+    return this.backupManager.restore(id);
+  }
+
+  async acquireLock() {
+    const lock = this.options.upgradeLock;
+    // Without a project id, tabs cannot tell whether they edit the same project
+    const key = lock && this.getLockKey();
+    if (!key) return true;
+
+    if (await lock.acquire(key)) {
+      this.holdsLock = true;
+      return true;
+    }
+
+    // Another tab is upgrading the same project, wait for it to finish
+    const projectId = this.versionManager.getProjectId();
+    if (!this.stopWaitingForLock) {
+      this.stopWaitingForLock = lock.onRelease(key, () => {
+        this.stopWaitingForLock = null;
+        this.eventSystem.emit('version:unlocked', { projectId });
+      });
+    }
+    this.eventSystem.emit('version:locked', { projectId });
+
+    return false;
+  }
+
+  releaseLock() {
+    const lock = this.options.upgradeLock;
+    const key = lock && this.getLockKey();
+    if (key) {
+      lock.release(key);
+    }
+    this.holdsLock = false;
+  }
+
+  // Nobody will release the lock of the current run once it is over
+  releaseLockAfterRun() {
+    this.keepLock = false;
+  }
+
+  getLockKey() {
+    const projectId = this.versionManager.getProjectId();
+    return projectId ? `${projectId}:lock` : null;
+  }
+
+  getCheckpointKeys() {
+    // Without a project id, the checkpoint of another project could be resumed
+    const projectId = this.versionManager.getProjectId();
+    if (!projectId) return null;
+
+    return {
+      checkpoint: `${projectId}:checkpoint`,
+      snapshot: `${projectId}:snapshot`
+    };
+  }
+
+  async saveCheckpoint(checkpoint, startSnapshot = null) {
+    const store = this.options.checkpointStore;
+    const keys = store && this.getCheckpointKeys();
+    if (!keys) return;
+
+    // Checkpoints are best effort, e.g. large projects may exceed the storage quota
+    try {
+      if (startSnapshot) {
+        await store.set(keys.snapshot, startSnapshot);
+      }
+      await store.set(keys.checkpoint, {
+        ...checkpoint,
+        logs: this.allLogs,
+        data: this.takeSnapshot(),
+        snapshotId: keys.snapshot,
+        updatedAt: Date.now()
+      });
+    } catch (error) {
+      console.warn('[grapesjs-version-flow] Failed to save checkpoint:', error);
+    }
+  }
+
+  async getCheckpoint() {
+    const store = this.options.checkpointStore;
+    const keys = store && this.getCheckpointKeys();
+    if (!keys) return null;
+
+    try {
+      return (await store.get(keys.checkpoint)) || null;
+    } catch (error) {
+      console.warn('[grapesjs-version-flow] Failed to read checkpoint:', error);
+      return null;
+    }
+  }
+
+  async clearCheckpoint() {
+    const store = this.options.checkpointStore;
+    const keys = store && this.getCheckpointKeys();
+    if (!keys) return;
+
+    try {
+      await store.remove(keys.checkpoint);
+      await store.remove(keys.snapshot);
+    } catch (error) {
+      console.warn('[grapesjs-version-flow] Failed to clear checkpoint:', error);
+    }
+  }
+
+  isCheckpointValid(checkpoint, savedVersion) {
+    // The stored project must not have been saved outside of the interrupted run,
+    // its version is between the start of the run and the last completed step
+    const { fromVersion, completedVersion, direction } = checkpoint;
+    const compare = (a, b) => this.versionManager.compareVersions(a, b);
+
+    if (!savedVersion) {
+      return !fromVersion;
+    }
+    if (!completedVersion) {
+      return false;
+    }
+
+    const [lowest, highest] = direction === 'downgrade'
+      ? [completedVersion, fromVersion]
+      : [fromVersion, completedVersion];
+
+    return (!lowest || compare(savedVersion, lowest) >= 0) && compare(savedVersion, highest) <= 0;
+  }
+
+  cancel() {
+    if (!this.isUpgrading || !this.abortController) {
+      return false;
+    }
+
+    this.abortController.abort(new Error('Upgrade cancelled'));
+    return true;
+  }
+
+  getStepLabel(step, version = step.builderVersion) {
+    return step.namespace ? `${step.namespace}@${version}` : version;
+  }
+
+  getStepTargetVersion(steps, index, targetVersion, direction = 'upgrade') {
+    if (direction === 'upgrade') {
+      return steps[index].builderVersion;
+    }
+    // Reverting a step brings the project back to the previous step, or to the target
+    const previousStep = steps[index + 1];
+    return previousStep ? previousStep.builderVersion : targetVersion;
+  }
+
+  async runSingleUpgrade(step, { editor = this.editor, logs = this.allLogs, direction = 'upgrade', toVersion = step.builderVersion, signal, onProgress } = {}) {
+    const stepController = this.createStepController(step, signal);
+    const context = this.createUpgradeContext({ editor, logs, signal: stepController.signal, onProgress });
     
     // Run the upgrade function first and catch any errors
     let logMessage;
     try {
-      logMessage = await step.upgrade(context);
+      logMessage = await this.runWithSignal(() => this.runStepFunction(step, direction, context), stepController.signal);
     } catch (error) {
       // If upgrade function throws an error, handle it properly
       throw error;
+    } finally {
+      stepController.dispose();
     }
     
     // If upgrade was successful, use UndoManager.skip to prevent change tracking
     // This should not fail since upgrade already succeeded
-    await this.editor.UndoManager.skip(async () => {
-      // No actual work here, just marking this execution as non-trackable
-      return Promise.resolve();
-    });
+    if (editor.UndoManager) {
+      await editor.UndoManager.skip(async () => {
+        // No actual work here, just marking this execution as non-trackable
+        return Promise.resolve();
+      });
+    }
     
     // Upgrade function should return a string log message
     const log = {
       level: 'info',
-      message: logMessage || `Upgraded to ${step.builderVersion}`
+      message: logMessage || `${direction === 'upgrade' ? 'Upgraded' : 'Downgraded'} to ${toVersion}`
     };
     
-    this.allLogs.push(log);
+    logs.push(log);
     return [log];
   }
 
+  async runStepFunction(step, direction, context) {
+    if (direction !== 'upgrade') {
+      return typeof step[direction] === 'function' ? step[direction](context) : undefined;
+    }
+
+    const preConditionProblem = await this.checkCondition(step.validateBefore, context);
+    if (preConditionProblem) {
+      throw new Error(`Pre-condition failed: ${preConditionProblem}`);
+    }
+
+    // Declarative operations run before the upgrade function, which is optional with them
+    if (Array.isArray(step.ops)) {
+      this.applyOps(step.ops, context);
+    }
+
+    const logMessage = typeof step.upgrade === 'function' ? await step.upgrade(context) : undefined;
+
+    const postConditionProblem = await this.checkCondition(step.validateAfter, context);
+    if (postConditionProblem) {
+      throw new Error(`Post-condition failed: ${postConditionProblem}`);
+    }
+
+    return logMessage;
+  }
+
+  async appliesTo(step, context) {
+    return typeof step.appliesTo !== 'function' || !!(await step.appliesTo(context));
+  }
+
+  async checkCondition(validator, context) {
+    // Validators return nothing or true when the project is valid, false or a message when it is not, or throw
+    if (typeof validator !== 'function') {
+      return null;
+    }
+
+    try {
+      const result = await validator(context);
+      if (result === undefined || result === true) {
+        return null;
+      }
+      return typeof result === 'string' ? result : `${validator.name || 'validator'} returned ${result}`;
+    } catch (error) {
+      return error.message || 'Unknown error occurred';
+    }
+  }
+
+  async runValidators(context) {
+    const problems = [];
+
+    for (const validator of this.options.validators || []) {
+      const problem = await this.checkCondition(validator, context);
+      if (problem) {
+        problems.push(problem);
+      }
+    }
+
+    return problems;
+  }
+
+  applyOps(ops, context) {
+    const projectData = context.getProjectData();
+
+    for (const op of ops) {
+      context.addLog('info', this.migrationOps.apply(projectData, op));
+    }
+
+    context.setProjectData(projectData);
+  }
+
+  createStepController(step, parentSignal) {
+    // Aborted when the whole run is cancelled or when the step times out
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    let timeoutId = null;
+
+    if (parentSignal) {
+      if (parentSignal.aborted) {
+        onParentAbort();
+      } else {
+        parentSignal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+
+    if (step.timeout > 0) {
+      timeoutId = setTimeout(() => {
+        controller.abort(new Error(`Step ${this.getStepLabel(step)} timed out after ${step.timeout}ms`));
+      }, step.timeout);
+    }
+
+    return {
+      signal: controller.signal,
+      dispose: () => {
+        clearTimeout(timeoutId);
+        if (parentSignal) {
+          parentSignal.removeEventListener('abort', onParentAbort);
+        }
+      }
+    };
+  }
+
+  runWithSignal(fn, signal) {
+    // Steps which ignore the signal are not stopped, but the run does not wait for them anymore
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  isDeclined(step, optionalSteps) {
+    // Without a selection, optional steps run like the others
+    return step.optional === true && Array.isArray(optionalSteps) && !optionalSteps.includes(this.getStepLabel(step));
+  }
+
+  createStepDeclineLog(toVersion) {
+    return {
+      level: 'skipped',
+      message: `Declined ${toVersion}, an optional step`
+    };
+  }
+
+  createStepSkipLog(toVersion) {
+    return {
+      level: 'skipped',
+      message: `Skipped ${toVersion}, it does not apply to this project`
+    };
+  }
+
+  createStepErrorLog(toVersion, error, direction = 'upgrade') {
+    return {
+      level: 'error',
+      message: `Failed to ${direction} to ${toVersion}: ${error.message || 'Unknown error occurred'}`
+    };
+  }
+
+  async dryRun({ optionalSteps = null } = {}) {
+    const savedVersion = this.versionManager.getSavedVersion();
+    const currentVersion = this.options.builderVersion;
+    const pendingSteps = this.versionManager.getUpgradePlan(savedVersion, currentVersion);
+
+    const before = this.takeSnapshot() || {};
+    const sandbox = await this.createSandbox(before);
+    const logs = [];
+    const failedSteps = [];
+    let lastSuccessfulVersion = savedVersion;
+
+    try {
+      for (const step of pendingSteps) {
+        try {
+          if (this.isDeclined(step, optionalSteps)) {
+            logs.push(this.createStepDeclineLog(this.getStepLabel(step)));
+          } else if (!(await this.appliesTo(step, this.createUpgradeContext({ editor: sandbox, logs })))) {
+            logs.push(this.createStepSkipLog(this.getStepLabel(step)));
+          } else {
+            await this.runSingleUpgrade(step, { editor: sandbox, logs, toVersion: this.getStepLabel(step) });
+          }
+          if (!step.namespace) {
+            lastSuccessfulVersion = step.builderVersion;
+          }
+        } catch (error) {
+          logs.push(this.createStepErrorLog(this.getStepLabel(step), error));
+          failedSteps.push(this.getStepLabel(step));
+
+          if (!this.options.continueOnError) {
+            break;
+          }
+        }
+      }
+
+      const problems = await this.runValidators(this.createUpgradeContext({ editor: sandbox, logs }));
+      if (problems.length > 0) {
+        problems.forEach(problem => {
+          logs.push({ level: 'error', message: `Validation failed: ${problem}` });
+        });
+        failedSteps.push('validators');
+      }
+
+      const after = this.cloneProjectData(sandbox.getProjectData());
+
+      return {
+        success: failedSteps.length === 0,
+        logs,
+        upgradedTo: lastSuccessfulVersion,
+        failedSteps,
+        diff: new ProjectDiff().compare(before, after)
+      };
+    } finally {
+      if (typeof sandbox.destroy === 'function') {
+        sandbox.destroy();
+      }
+    }
+  }
+
+  async createSandbox(projectData) {
+    if (typeof this.options.createEditor === 'function') {
+      return await this.options.createEditor(this.cloneProjectData(projectData));
+    }
+
+    return this.createDetachedEditor(projectData);
+  }
+
+  createDetachedEditor(projectData) {
+    // Without an editor factory, steps only get access to a detached copy of the project data
+    let data = this.cloneProjectData(projectData);
+    const setData = (newData) => { data = this.cloneProjectData(newData); };
+
+    return {
+      getProjectData: () => this.cloneProjectData(data),
+      setProjectData: setData,
+      loadProjectData: setData,
+      getComponents: () => [],
+      getStyleManager: () => ({ getAll: () => [] }),
+      on: () => {},
+      trigger: () => {}
+    };
+  }
+
   async runWhatsNew() {
     const savedVersion = this.versionManager.getSavedVersion();
     const currentVersion = this.options.builderVersion;
@@ -178,45 +918,191 @@ export default class UpgradeEngine {
     }
   }
 
-  createUpgradeContext() {
+  createUpgradeContext({ editor = this.editor, logs = this.allLogs, signal = new AbortController().signal, onProgress = () => {} } = {}) {
+    const queries = new EditorQueries(editor);
+
     return {
-      editor: this.editor,
-      getComponents: () => this.editor.getComponents(),
-      getStyles: () => this.editor.getStyleManager().getAll(),
-      getPages: () => this.editor.getPages ? this.editor.getPages().getAll() : [],
-      getProjectData: () => this.editor.getProjectData(),
-      setProjectData: (data) => this.editor.setProjectData(data),
-      addLog: (level, message) => {
-        const log = { level, message };
-        this.allLogs.push(log);
+      editor,
+      signal,
+      getComponents: () => editor.getComponents(),
+      getStyles: () => editor.getStyleManager().getAll(),
+      getPages: () => editor.getPages ? editor.getPages().getAll() : [],
+      getProjectData: () => editor.getProjectData(),
+      setProjectData: (data) => this.loadProjectData(editor, data),
+      findComponents: (selectorOrPredicate, options) => queries.findComponents(selectorOrPredicate, options),
+      walkComponents: (callback, options) => queries.walkComponents(callback, options),
+      findRules: (selectorOrPredicate) => queries.findRules(selectorOrPredicate),
+      replaceInRules: (search, replacement, options) => queries.replaceInRules(search, replacement, options),
+      getAssets: () => queries.getAssets(),
+      getSymbols: () => queries.getSymbols(),
+      addLog: (levelOrEntry, message) => {
+        const log = this.createLog(levelOrEntry, message);
+        logs.push(log);
         return log;
+      },
+      prompt: (question) => this.prompt(question, { editor, logs, signal }),
+      reportProgress: (done, total, label = '') => {
+        const safeTotal = Math.max(0, Number(total) || 0);
+        const safeDone = Math.min(Math.max(0, Number(done) || 0), safeTotal);
+        onProgress(safeDone, safeTotal, label);
       }
     };
   }
 
-  retryFromFailedStep() {
-    if (!this.failedSteps.length) {
+  createLog(levelOrEntry, message) {
+    // ctx.addLog('info', 'Message') or ctx.addLog({ level, message, componentId, ... })
+    const entry = typeof levelOrEntry === 'object' && levelOrEntry !== null ? levelOrEntry : { level: levelOrEntry, message };
+    const log = { level: entry.level || 'info', message: entry.message };
+
+    LOG_DETAILS.forEach(key => {
+      if (entry[key] !== undefined && entry[key] !== null) {
+        log[key] = entry[key];
+      }
+    });
+
+    return log;
+  }
+
+  setPromptHandler(handler) {
+    this.promptHandler = handler;
+  }
+
+  async prompt(question, { editor = this.editor, logs = this.allLogs, signal = null } = {}) {
+    const choices = (question.choices || []).map(choice =>
+      (choice && typeof choice === 'object') ? choice : { value: choice, label: String(choice) }
+    );
+
+    if (choices.length === 0) {
+      throw new Error('ctx.prompt requires at least one choice');
+    }
+
+    const defaultChoice = choices.find(choice => choice.value === question.default) || choices[0];
+    // Dry runs, detached and headless editors get the default answer
+    const interactive = typeof this.promptHandler === 'function' && editor === this.editor;
+    // The handler rejects when the step is cancelled or times out, and resolves undefined for the default answer
+    const handlerAnswer = interactive
+      ? await this.promptHandler({ ...question, choices, default: defaultChoice.value }, { signal })
+      : undefined;
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+
+    const isDefault = handlerAnswer === undefined;
+    const answer = isDefault ? defaultChoice.value : handlerAnswer;
+    const answeredChoice = choices.find(choice => choice.value === answer) || { label: String(answer) };
+    logs.push({
+      level: 'info',
+      message: `${question.title || question.message}: ${answeredChoice.label}${isDefault ? ' (default answer)' : ''}`
+    });
+
+    return answer;
+  }
+
+  takeSnapshot() {
+    if (typeof this.editor.getProjectData !== 'function') {
+      return null;
+    }
+
+    try {
+      return this.cloneProjectData(this.editor.getProjectData());
+    } catch (error) {
+      console.warn('[grapesjs-version-flow] Failed to snapshot project data:', error);
+      return null;
+    }
+  }
+
+  restoreSnapshot(data) {
+    this.loadProjectData(this.editor, this.cloneProjectData(data));
+  }
+
+  loadProjectData(editor, projectData) {
+    // GrapesJS editors only have loadProjectData, setProjectData is kept for test environments
+    if (typeof editor.loadProjectData === 'function') {
+      editor.loadProjectData(projectData);
+    } else {
+      editor.setProjectData(projectData);
+    }
+  }
+
+  cloneProjectData(data) {
+    return JSON.parse(JSON.stringify(data || {}));
+  }
+
+  canRollback() {
+    return !this.isUpgrading && !!this.snapshot && !!this.snapshot.data;
+  }
+
+  rollback() {
+    if (!this.canRollback()) {
+      console.warn('[grapesjs-version-flow] Nothing to roll back');
+      return false;
+    }
+
+    const { data, version, namespaces, builderVersion } = this.snapshot;
+
+    try {
+      this.restoreSnapshot(data);
+    } catch (error) {
+      console.error('[grapesjs-version-flow] Failed to restore the original project:', error);
+      return false;
+    }
+
+    // The restored project is not upgraded, keep its original versions on next save
+    this.versionManager.updateVersion(builderVersion);
+    this.versionManager.restoreVersions(version, namespaces);
+    this.snapshot = null;
+
+    this.allLogs.push({
+      level: 'info',
+      message: `Restored original project (${version || 'no version'})`
+    });
+
+    this.eventSystem.emit('version:rollback', {
+      restoredVersion: version
+    });
+
+    return true;
+  }
+
+  async retryFromFailedStep() {
+    const run = this.lastRun;
+    // Nothing to retry after a rollback, the project is back to how it was saved
+    if (!run || run.direction !== 'upgrade' || !this.snapshot || this.isUpgrading) {
       return this.runUpgrades();
     }
 
-    const lastFailedStep = this.failedSteps[this.failedSteps.length - 1];
-    const savedVersion = this.versionManager.getSavedVersion();
-    const currentVersion = this.options.builderVersion;
-    const allSteps = this.versionManager.getPendingUpgrades(savedVersion, currentVersion);
-    
-    const failedStepIndex = allSteps.findIndex(step => step.builderVersion === lastFailedStep);
-    if (failedStepIndex === -1) {
+    // The failed steps of the last run, and the steps it did not reach when it stopped
+    const steps = this.versionManager.getUpgradePlan(run.fromVersion, run.targetVersion);
+    const reached = run.details.map(step => step.label);
+    const lastReachedIndex = steps.reduce((last, step, index) => reached.includes(this.getStepLabel(step)) ? index : last, -1);
+    const isPending = (step, index) => index > lastReachedIndex || this.failedSteps.includes(this.getStepLabel(step));
+    const pendingSteps = steps.filter(isPending);
+    if (pendingSteps.length === 0) {
       return this.runUpgrades();
     }
 
-    const remainingSteps = allSteps.slice(failedStepIndex);
-    const originalSteps = this.options.versions;
-    
-    this.options.versions = remainingSteps;
-    const result = this.runUpgrades();
-    this.options.versions = originalSteps;
-    
-    return result;
+    // The versions the project reached with the other steps
+    let completedVersion = run.fromVersion;
+    const completedNamespaces = {};
+    steps.forEach((step, index) => {
+      if (isPending(step, index)) return;
+      if (step.namespace) {
+        completedNamespaces[step.namespace] = step.builderVersion;
+      } else {
+        completedVersion = step.builderVersion;
+      }
+    });
+
+    // Rolling back still restores the project as it was before the first attempt
+    const { data, builderVersion } = this.snapshot;
+    this.versionManager.updateVersion(builderVersion);
+
+    return this.runSteps(pendingSteps, {
+      fromVersion: run.fromVersion,
+      targetVersion: run.targetVersion,
+      optionalSteps: run.optionalSteps,
+      resumeFrom: { logs: [], completedVersion, completedNamespaces, startSnapshot: data }
+    });
   }
 
   getCurrentStep() {
@@ -234,4 +1120,56 @@ export default class UpgradeEngine {
   getFailedSteps() {
     return [...this.failedSteps];
   }
+
+  getLogGroups() {
+    // Logs written outside of the steps, e.g. by the backup, have no label
+    const groups = [{ label: null, start: 0 }, ...this.logGroups];
+
+    return groups
+      .map((group, index) => {
+        const end = index + 1 < groups.length ? groups[index + 1].start : this.allLogs.length;
+        return { label: group.label, start: group.start, logs: this.allLogs.slice(group.start, end) };
+      })
+      .filter(group => group.logs.length > 0);
+  }
+
+  getReport(format = null) {
+    if (!this.lastRun) return null;
+
+    const { direction, fromVersion, targetVersion, startedAt, finishedAt, details, result } = this.lastRun;
+    const report = {
+      direction,
+      fromVersion,
+      toVersion: result.upgradedTo,
+      targetVersion,
+      success: result.success,
+      cancelled: !!result.cancelled,
+      error: result.error || null,
+      startedAt,
+      finishedAt,
+      duration: Date.parse(finishedAt) - Date.parse(startedAt),
+      steps: details.map(step => ({ ...step, logs: [...step.logs] })),
+      failedSteps: [...result.failedSteps],
+      logs: [...result.logs],
+      environment: this.getEnvironment()
+    };
+
+    // Without a format, the report itself, e.g. to send it to a server
+    return format ? this.reportFormatter.format(report, format) : report;
+  }
+
+  getEnvironment() {
+    const hasNavigator = typeof navigator !== 'undefined';
+    const grapesjs = typeof window !== 'undefined' ? window.grapesjs : null;
+
+    return {
+      projectId: this.versionManager.getProjectId(),
+      grapesjsVersion: (grapesjs && grapesjs.version) || null,
+      locale: typeof this.editor.I18n?.getLocale === 'function' ? this.editor.I18n.getLocale() : null,
+      userAgent: hasNavigator ? navigator.userAgent : null,
+      continueOnError: !!this.options.continueOnError,
+      snapshotEachStep: !!this.options.snapshotEachStep,
+      generatedAt: new Date().toISOString()
+    };
+  }
 }
\ No newline at end of file
@@ -0,0 +1,153 @@
+// Only one tab upgrades a project, the others wait for it to release the lock
+// Uses the Web Locks API when available, or else a lease in localStorage which the holding tab renews
+const LEASE_DURATION = 10000;
+
+export default class UpgradeLock {
+  constructor(prefix = 'gjs-version-flow:') {
+    this.prefix = prefix;
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    // Release functions of the locks held by this tab, by key
+    this.held = new Map();
+  }
+
+  async acquire(key) {
+    if (this.held.has(key)) return true;
+
+    const release = this.hasWebLocks() ? await this.requestWebLock(key) : this.takeLease(key);
+    if (!release) return false;
+
+    this.held.set(key, release);
+    return true;
+  }
+
+  release(key) {
+    const release = this.held.get(key);
+    if (!release) return;
+
+    this.held.delete(key);
+    release();
+
+    if (this.hasBroadcastChannel()) {
+      const channel = new BroadcastChannel(this.prefix + key);
+      channel.postMessage({ type: 'released', tabId: this.tabId });
+      channel.close();
+    }
+  }
+
+  isHeld(key) {
+    return this.held.has(key);
+  }
+
+  onRelease(key, callback) {
+    // Calls back once, when the tab holding the lock releases it or is closed
+    const cleanups = [];
+    let done = false;
+    const stop = () => {
+      done = true;
+      cleanups.forEach(cleanup => cleanup());
+    };
+    const notify = () => {
+      if (done) return;
+      stop();
+      callback();
+    };
+
+    if (this.hasWebLocks()) {
+      // Granted as soon as the other tab releases the lock, then released right away
+      const controller = new AbortController();
+      navigator.locks.request(this.prefix + key, { signal: controller.signal }, notify).catch(() => {});
+      cleanups.push(() => controller.abort());
+      return stop;
+    }
+
+    if (this.hasBroadcastChannel()) {
+      const channel = new BroadcastChannel(this.prefix + key);
+      channel.onmessage = (event) => {
+        if (event.data && event.data.type === 'released') notify();
+      };
+      cleanups.push(() => channel.close());
+    }
+
+    // Leases of closed tabs are not renewed anymore
+    const interval = setInterval(() => {
+      if (!this.getLease(key)) notify();
+    }, LEASE_DURATION / 2);
+    cleanups.push(() => clearInterval(interval));
+
+    return stop;
+  }
+
+  async requestWebLock(key) {
+    return new Promise((resolve) => {
+      navigator.locks.request(this.prefix + key, { ifAvailable: true }, (lock) => {
+        if (!lock) {
+          resolve(null);
+          return undefined;
+        }
+
+        // The lock is held until the returned promise resolves
+        return new Promise(release => resolve(release));
+      }).catch(() => resolve(null));
+    });
+  }
+
+  takeLease(key) {
+    if (!this.isStorageAvailable()) {
+      // Without storage, tabs cannot coordinate
+      return () => {};
+    }
+
+    const lease = this.getLease(key);
+    if (lease && lease.tabId !== this.tabId) {
+      return null;
+    }
+
+    const renew = () => {
+      localStorage.setItem(this.prefix + key, JSON.stringify({ tabId: this.tabId, expiresAt: Date.now() + LEASE_DURATION }));
+    };
+    renew();
+
+    // Another tab may have written its lease at the same time, the last write wins
+    if (this.getLease(key).tabId !== this.tabId) {
+      return null;
+    }
+
+    const interval = setInterval(renew, LEASE_DURATION / 2);
+
+    return () => {
+      clearInterval(interval);
+      const current = this.getLease(key);
+      if (current && current.tabId === this.tabId) {
+        localStorage.removeItem(this.prefix + key);
+      }
+    };
+  }
+
+  getLease(key) {
+    if (!this.isStorageAvailable()) return null;
+
+    try {
+      const lease = JSON.parse(localStorage.getItem(this.prefix + key));
+      return lease && lease.expiresAt > Date.now() ? lease : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  hasWebLocks() {
+    return typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+  }
+
+  hasBroadcastChannel() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  isStorageAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      // Accessing localStorage throws when it is disabled
+      return false;
+    }
+  }
+}
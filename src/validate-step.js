@@ -0,0 +1,40 @@
+import MigrationOps from './migration-ops';
+
+const migrationOps = new MigrationOps();
+
+// Checks a step of the versions option or of a stream registered by a plugin
+// Returns the error message, or null when the step is valid
+export function validateStep(step) {
+  if (!step || !step.builderVersion || (typeof step.upgrade !== 'function' && !Array.isArray(step.ops))) {
+    return 'Each version step must have builderVersion and an upgrade function or ops';
+  }
+  const opError = (step.ops || []).map(op => migrationOps.validate(op)).find(error => error);
+  if (opError) {
+    return opError;
+  }
+  if (step.downgrade !== undefined && typeof step.downgrade !== 'function') {
+    return 'downgrade must be a function';
+  }
+  if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout >= 0)) {
+    return 'timeout must be a number of milliseconds';
+  }
+  if (['validateBefore', 'validateAfter'].some(hook => step[hook] !== undefined && typeof step[hook] !== 'function')) {
+    return 'validateBefore and validateAfter must be functions';
+  }
+  if (step.mandatory !== undefined && typeof step.mandatory !== 'boolean') {
+    return 'mandatory must be a boolean';
+  }
+  if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+    return 'optional must be a boolean';
+  }
+  if (step.description !== undefined && typeof step.description !== 'string') {
+    return 'description must be a string';
+  }
+  if (step.appliesTo !== undefined && typeof step.appliesTo !== 'function') {
+    return 'appliesTo must be a function';
+  }
+  if (step.requires !== undefined && !(Array.isArray(step.requires) && step.requires.every(requirement => requirement && requirement.version))) {
+    return 'requires must be an array of { namespace, version }';
+  }
+  return null;
+}
@@ -1,9 +1,30 @@
+import { isValidVersion, splitVersion, comparePrerelease } from './semver';
+import { validateStep } from './validate-step';
+
+// Namespace of the steps passed in the versions option, used in step requirements
+const CORE_NAMESPACE = 'core';
+
 export default class VersionManager {
   constructor(editor, options) {
     this.editor = editor;
     this.options = options;
     this.versionKey = 'builderVersion';
+    this.historyKey = 'upgradeHistory';
+    this.deferredKey = 'upgradeDeferredAt';
+    this.backupsKey = 'upgradeBackups';
     this.savedVersion = null;
+    this.history = [];
+    this.deferredAt = null;
+    this.backups = [];
+    // Set when the project was put back as it was before an upgrade
+    this.isRestored = false;
+    // Set when a run changed the version of the project in this session
+    this.isMigrated = false;
+    // Backups go through the StorageManager too, they are not the project
+    this.backupData = new WeakSet();
+    this.isLoadingBackup = false;
+    // Version streams registered by other plugins, by namespace
+    this.namespaces = new Map();
     this.setupStorageHooks();
   }
 
@@ -13,15 +34,50 @@ export default class VersionManager {
 
     // Use the correct GrapesJS storage events to modify data being stored
     this.editor.on('storage:start:store', (data) => {
-      data[this.versionKey] = this.options.builderVersion;
+      if (this.backupData.has(data)) return;
+
+      if (this.isNewerProject()) {
+        this.enforceNewerVersionPolicy();
+      }
+      // A deferred or restored upgrade is not applied, the project keeps the versions it was saved with
+      const keepSavedVersions = !!this.deferredAt || this.isRestored;
+      const version = keepSavedVersions ? this.savedVersion : this.options.builderVersion;
+      if (version) {
+        data[this.versionKey] = version;
+      }
+      for (const stream of this.namespaces.values()) {
+        const streamVersion = keepSavedVersions ? stream.savedVersion : stream.version;
+        if (streamVersion) {
+          data[stream.versionKey] = streamVersion;
+        }
+      }
+      if (this.history.length > 0) {
+        data[this.historyKey] = this.getHistory();
+      }
+      if (this.deferredAt) {
+        data[this.deferredKey] = this.deferredAt;
+      }
+      if (this.backups.length > 0) {
+        data[this.backupsKey] = this.getBackups();
+      }
     });
 
     // Use the correct GrapesJS storage events to extract version from loaded data
     this.editor.on('storage:load', (data, res) => {
+      if (this.isLoadingBackup) return;
+
+      this.isRestored = false;
+      this.isMigrated = false;
       // Extract version from loaded data
       if (data && data[this.versionKey]) {
         this.savedVersion = data[this.versionKey];
       }
+      for (const stream of this.namespaces.values()) {
+        stream.savedVersion = (data && data[stream.versionKey]) || null;
+      }
+      this.setHistory(data && data[this.historyKey]);
+      this.deferredAt = (data && data[this.deferredKey]) || null;
+      this.setBackups(data && data[this.backupsKey]);
     });
   }
 
@@ -29,9 +85,275 @@ export default class VersionManager {
     return this.savedVersion;
   }
 
+  getProjectVersion() {
+    // Until a run changes it, the project has the version it was saved with
+    return this.isMigrated ? this.options.builderVersion : this.savedVersion;
+  }
+
+  setSavedVersion(version) {
+    // For editors loaded without the storage manager, e.g. headless runs
+    this.savedVersion = version || null;
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  setHistory(history) {
+    this.history = Array.isArray(history) ? [...history] : [];
+  }
+
+  addHistoryEntry(entry) {
+    // Stored with the project on the next save, like the version
+    this.history.push(entry);
+  }
+
+  getBackups() {
+    return [...this.backups];
+  }
+
+  setBackups(backups) {
+    this.backups = Array.isArray(backups) ? [...backups] : [];
+  }
+
+  async storeBackup(data, store) {
+    this.backupData.add(data);
+    try {
+      return await store(data);
+    } finally {
+      this.backupData.delete(data);
+    }
+  }
+
+  async loadBackup(load) {
+    this.isLoadingBackup = true;
+    try {
+      return await load();
+    } finally {
+      this.isLoadingBackup = false;
+    }
+  }
+
+  defer() {
+    // Stored with the project on the next save, like the history
+    this.deferredAt = new Date().toISOString();
+  }
+
+  clearDeferral() {
+    this.deferredAt = null;
+  }
+
+  getDeferredAt() {
+    return this.deferredAt;
+  }
+
+  isDeferred(interval) {
+    return !!this.deferredAt && Date.now() - Date.parse(this.deferredAt) < interval;
+  }
+
+  isMandatory(step) {
+    // Optional steps can be declined, so they never force the upgrade
+    if (step.optional) return false;
+    return step.mandatory !== undefined ? step.mandatory : this.options.mandatory !== false;
+  }
+
+  hasMandatoryUpgrades() {
+    return this.getUpgradePlan().some(step => this.isMandatory(step));
+  }
+
+  register(namespace, steps, { version } = {}) {
+    if (!namespace || typeof namespace !== 'string') {
+      throw new Error('[grapesjs-version-flow] A namespace is required to register version steps');
+    }
+    if (namespace === CORE_NAMESPACE) {
+      throw new Error(`[grapesjs-version-flow] The "${CORE_NAMESPACE}" namespace is reserved for the versions option`);
+    }
+    if (this.namespaces.has(namespace)) {
+      throw new Error(`[grapesjs-version-flow] Version steps are already registered for "${namespace}"`);
+    }
+    if (!Array.isArray(steps)) {
+      throw new Error('[grapesjs-version-flow] versions must be an array');
+    }
+    for (const step of steps) {
+      const stepError = validateStep(step);
+      if (stepError) {
+        throw new Error(`[grapesjs-version-flow] ${stepError}`);
+      }
+    }
+
+    // The stream is at the version of its most recent step unless told otherwise
+    const currentVersion = version || steps
+      .map(step => step.builderVersion)
+      .reduce((latest, stepVersion) => (!latest || this.compareVersions(stepVersion, latest) > 0) ? stepVersion : latest, null);
+
+    if (!this.options.compareFn) {
+      const invalidVersion = [currentVersion, ...steps.map(step => step.builderVersion)]
+        .find(stepVersion => stepVersion && !isValidVersion(stepVersion));
+      if (invalidVersion !== undefined) {
+        throw new Error(`[grapesjs-version-flow] Invalid version "${invalidVersion}", expected a semantic version such as 1.2.3 or 1.2.3-beta.1`);
+      }
+    }
+
+    const stream = {
+      namespace,
+      versionKey: `${this.versionKey}:${namespace}`,
+      steps: steps.map(step => ({ ...step, namespace })),
+      currentVersion,
+      version: currentVersion,
+      savedVersion: null
+    };
+    this.namespaces.set(namespace, stream);
+    return stream;
+  }
+
+  getNamespaces() {
+    return [...this.namespaces.values()];
+  }
+
+  getNamespaceSavedVersions() {
+    const versions = {};
+    for (const stream of this.namespaces.values()) {
+      versions[stream.namespace] = stream.savedVersion;
+    }
+    return versions;
+  }
+
+  updateNamespaceVersion(namespace, version) {
+    const stream = this.namespaces.get(namespace);
+    if (stream) {
+      stream.version = version;
+      this.isRestored = false;
+    }
+  }
+
+  getPendingNamespaceUpgrades(completedVersions = {}) {
+    // Streams run one after the other, in the order they were registered
+    return this.getNamespaces().flatMap(stream => this.getPendingUpgrades(
+      completedVersions[stream.namespace] || stream.savedVersion,
+      stream.currentVersion,
+      stream.steps
+    ));
+  }
+
+  getUpgradePlan(savedVersion = this.savedVersion, currentVersion = this.options.builderVersion, completedVersions = {}) {
+    this.validateRequirements();
+
+    const steps = [
+      ...this.getPendingUpgrades(savedVersion, currentVersion),
+      ...this.getPendingNamespaceUpgrades(completedVersions)
+    ];
+    const savedVersions = {
+      ...this.getNamespaceSavedVersions(),
+      ...completedVersions,
+      [CORE_NAMESPACE]: savedVersion
+    };
+
+    // A required step either runs in this upgrade or was applied to the project before
+    for (const step of steps) {
+      for (const requirement of step.requires || []) {
+        if (steps.includes(this.findRequiredStep(requirement))) continue;
+
+        const requiredVersion = savedVersions[requirement.namespace || CORE_NAMESPACE];
+        if (!requiredVersion || this.compareVersions(requiredVersion, requirement.version) < 0) {
+          throw new Error(`[grapesjs-version-flow] ${this.getStepId(step)} requires ${this.getStepId(requirement)}, which is not part of this upgrade`);
+        }
+      }
+    }
+
+    return this.sortByRequirements(steps);
+  }
+
+  validateRequirements() {
+    const allSteps = [
+      ...this.options.versions,
+      ...this.getNamespaces().flatMap(stream => stream.steps)
+    ];
+
+    for (const step of allSteps) {
+      for (const requirement of step.requires || []) {
+        if (!this.findRequiredStep(requirement)) {
+          throw new Error(`[grapesjs-version-flow] ${this.getStepId(step)} requires ${this.getStepId(requirement)}, which is not a registered step`);
+        }
+      }
+    }
+
+    // Throws when the requirements are circular
+    this.sortByRequirements(allSteps);
+  }
+
+  sortByRequirements(steps) {
+    // Topological sort, ties keep the original order so steps without requirements run stream by stream
+    const remaining = [...steps];
+    const sorted = [];
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(step =>
+        !remaining.some(other => other !== step && this.mustRunBefore(other, step))
+      );
+
+      if (index === -1) {
+        throw new Error(`[grapesjs-version-flow] Circular step requirements between ${remaining.map(step => this.getStepId(step)).join(', ')}`);
+      }
+
+      sorted.push(...remaining.splice(index, 1));
+    }
+
+    return sorted;
+  }
+
+  mustRunBefore(step, otherStep) {
+    const namespace = step.namespace || CORE_NAMESPACE;
+
+    if (namespace === (otherStep.namespace || CORE_NAMESPACE) &&
+        this.compareVersions(step.builderVersion, otherStep.builderVersion) < 0) {
+      return true;
+    }
+
+    return (otherStep.requires || []).some(requirement => this.findRequiredStep(requirement) === step);
+  }
+
+  findRequiredStep({ namespace = CORE_NAMESPACE, version }) {
+    const stream = this.namespaces.get(namespace);
+    const steps = namespace === CORE_NAMESPACE ? this.options.versions : (stream ? stream.steps : []);
+    return steps.find(step => this.compareVersions(step.builderVersion, version) === 0) || null;
+  }
+
+  getStepId({ namespace = CORE_NAMESPACE, builderVersion, version = builderVersion }) {
+    return `${namespace}@${version}`;
+  }
+
+  getProjectId() {
+    const { projectId } = this.options;
+    if (typeof projectId === 'function') {
+      return projectId(this.editor) || null;
+    }
+    return projectId || this.getStorageKey();
+  }
+
+  getStorageKey() {
+    // Projects in the local storage are told apart by their key, other storages have no id
+    const storage = this.editor.Storage;
+    if (!storage || typeof storage.getCurrent !== 'function' || storage.getCurrent() !== 'local') {
+      return null;
+    }
+    return typeof storage.getStorageOptions === 'function' ? storage.getStorageOptions('local').key || null : null;
+  }
+
   updateVersion(version) {
     // Update the current version in options but don't save to storage
     this.options.builderVersion = version;
+    this.isRestored = false;
+    this.isMigrated = true;
+  }
+
+  restoreVersions(version, namespaces = {}) {
+    // The project is back to how it was saved, with no version on a first run
+    this.savedVersion = version || null;
+    for (const stream of this.namespaces.values()) {
+      stream.savedVersion = namespaces[stream.namespace] || null;
+    }
+    this.isRestored = true;
+    this.isMigrated = false;
   }
 
   saveVersion(version) {
@@ -61,6 +383,28 @@ export default class VersionManager {
     return this.compareVersions(savedVersion, currentVersion) < 0;
   }
 
+  isNewerProject() {
+    return !!this.savedVersion && this.compareVersions(this.savedVersion, this.options.builderVersion) > 0;
+  }
+
+  enforceNewerVersionPolicy() {
+    switch (this.options.newerVersionPolicy) {
+      case 'block-save':
+      case 'read-only':
+        // Thrown from storage:start:store, before the storage manager catches errors: editor.store() rejects
+        // without storage:error:store and the changes are still counted as saved, hence the event
+        this.editor.trigger('version:save-blocked', {
+          savedVersion: this.savedVersion,
+          currentVersion: this.options.builderVersion,
+          policy: this.options.newerVersionPolicy
+        });
+        throw new Error(`[grapesjs-version-flow] Saving is blocked, this project was saved with a newer version (${this.savedVersion})`);
+      case 'warn':
+        console.warn(`[grapesjs-version-flow] Saving a project which was saved with a newer version (${this.savedVersion})`);
+        break;
+    }
+  }
+
   hasWhatsNewSteps() {
     return this.options.versions.some(step => typeof step.whatsNew === 'function');
   }
@@ -75,8 +419,11 @@ export default class VersionManager {
   defaultCompareVersions(version1, version2) {
     if (version1 === version2) return 0;
 
-    const v1Parts = this.parseVersion(version1);
-    const v2Parts = this.parseVersion(version2);
+    const { core: core1, prerelease: prerelease1 } = splitVersion(version1);
+    const { core: core2, prerelease: prerelease2 } = splitVersion(version2);
+
+    const v1Parts = this.parseVersion(core1);
+    const v2Parts = this.parseVersion(core2);
 
     for (let i = 0; i < Math.max(v1Parts.length, v2Parts.length); i++) {
       const v1Part = v1Parts[i] || 0;
@@ -86,7 +433,7 @@ export default class VersionManager {
       if (v1Part > v2Part) return 1;
     }
 
-    return 0;
+    return comparePrerelease(prerelease1, prerelease2);
   }
 
   parseVersion(version) {
@@ -96,20 +443,29 @@ export default class VersionManager {
     });
   }
 
-  getPendingUpgrades(savedVersion, currentVersion) {
+  getPendingUpgrades(savedVersion, currentVersion, steps = this.options.versions) {
     if (!savedVersion) {
-      return this.options.versions.filter(step =>
+      return steps.filter(step =>
         this.compareVersions(step.builderVersion, currentVersion) <= 0
       ).sort((a, b) => this.compareVersions(a.builderVersion, b.builderVersion));
     }
 
-    return this.options.versions.filter(step => {
+    return steps.filter(step => {
       const stepVersion = step.builderVersion;
       return this.compareVersions(savedVersion, stepVersion) < 0 &&
              this.compareVersions(stepVersion, currentVersion) <= 0;
     }).sort((a, b) => this.compareVersions(a.builderVersion, b.builderVersion));
   }
 
+  getPendingDowngrades(currentVersion, targetVersion) {
+    // Steps to revert, from the most recent one
+    return this.options.versions.filter(step => {
+      const stepVersion = step.builderVersion;
+      return this.compareVersions(targetVersion, stepVersion) < 0 &&
+             this.compareVersions(stepVersion, currentVersion) <= 0;
+    }).sort((a, b) => this.compareVersions(b.builderVersion, a.builderVersion));
+  }
+
   getPendingWhatsNew(savedVersion, currentVersion) {
     const pendingUpgrades = this.getPendingUpgrades(savedVersion, currentVersion);
     return pendingUpgrades.filter(step => typeof step.whatsNew === 'function');
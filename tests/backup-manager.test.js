@@ -0,0 +1,134 @@
+import BackupManager from '../src/backup-manager.js';
+import VersionManager from '../src/version-manager.js';
+
+// StorageManager keeping the stored projects by key, like the local storage
+const createStorage = (type = 'local') => {
+  const stored = {};
+
+  return {
+    stored,
+    getCurrent: () => type,
+    getStorageOptions: () => ({ key: 'site-1' }),
+    store: jest.fn(async (data, { key } = {}) => { stored[key] = JSON.parse(JSON.stringify(data)); }),
+    load: jest.fn(async ({ key } = {}) => stored[key] || {})
+  };
+};
+
+describe('BackupManager', () => {
+  let editor;
+  let options;
+  let versionManager;
+  let eventSystem;
+  let backupManager;
+
+  beforeEach(() => {
+    editor = {
+      Storage: createStorage(),
+      on: jest.fn(),
+      getProjectData: jest.fn(() => ({ pages: ['home'] })),
+      loadProjectData: jest.fn()
+    };
+    options = { builderVersion: '2.0.0', versions: [], backup: { keep: 2 } };
+    versionManager = new VersionManager(editor, options);
+    eventSystem = { emit: jest.fn() };
+    backupManager = new BackupManager(editor, options, versionManager, eventSystem);
+  });
+
+  it('should only back up when the storage can keep the backup apart', () => {
+    expect(backupManager.isEnabled()).toBe(true);
+
+    editor.Storage = createStorage('remote');
+    expect(backupManager.isEnabled()).toBe(false);
+
+    options.backup = { storageOptions: id => ({ id }) };
+    expect(backupManager.isEnabled()).toBe(true);
+
+    options.backup = false;
+    expect(backupManager.isEnabled()).toBe(false);
+  });
+
+  it('should store the project under its own key with the original version', async () => {
+    const backup = await backupManager.create('1.0.0');
+
+    expect(backup).toEqual({ id: 'site-1.backup-1.0.0', fromVersion: '1.0.0', namespaces: {}, createdAt: expect.any(String) });
+    expect(editor.Storage.stored['site-1.backup-1.0.0']).toEqual({ pages: ['home'], builderVersion: '1.0.0' });
+    expect(versionManager.getBackups()).toEqual([backup]);
+    expect(eventSystem.emit).toHaveBeenCalledWith('version:backup:created', backup);
+  });
+
+  it('should use the storage options given for backups', async () => {
+    const storageOptions = jest.fn(id => ({ key: `backups/${id}` }));
+    options.backup = { storageOptions };
+    options.projectId = 'site-1';
+    editor.Storage = createStorage('remote');
+
+    await backupManager.create(null);
+
+    expect(storageOptions).toHaveBeenCalledWith('site-1.backup-unversioned');
+    expect(editor.Storage.stored['backups/site-1.backup-unversioned']).toEqual({ pages: ['home'] });
+  });
+
+  it('should keep the most recent backups', async () => {
+    const removeItem = jest.spyOn(Storage.prototype, 'removeItem');
+    await backupManager.create('1.0.0');
+    await backupManager.create('1.1.0');
+    await backupManager.create('1.2.0');
+
+    expect(versionManager.getBackups().map(backup => backup.fromVersion)).toEqual(['1.1.0', '1.2.0']);
+    expect(removeItem).toHaveBeenCalledWith('site-1.backup-1.0.0');
+    expect(editor.Storage.store).toHaveBeenCalledTimes(3);
+    removeItem.mockRestore();
+
+    const remove = jest.fn();
+    options.backup = { keep: 10, maxAge: 1000, remove };
+    versionManager.setBackups([{ id: 'old', createdAt: '2020-01-01T00:00:00.000Z' }, ...versionManager.getBackups()]);
+    await backupManager.applyRetention();
+
+    expect(remove).toHaveBeenCalledWith('old');
+    expect(versionManager.getBackups()).toHaveLength(2);
+  });
+
+  it('should empty the backups of storages which cannot delete them', async () => {
+    options.backup = { keep: 1, storageOptions: id => ({ key: `backups/${id}` }) };
+    options.projectId = 'site-1';
+    editor.Storage = createStorage('remote');
+
+    await backupManager.create('1.0.0');
+    await backupManager.create('1.1.0');
+
+    expect(editor.Storage.stored['backups/site-1.backup-1.0.0']).toEqual({});
+  });
+
+  it('should restore a backup with its versions', async () => {
+    const backup = await backupManager.create('1.0.0');
+    options.builderVersion = '2.0.0';
+
+    await backupManager.restore();
+
+    expect(editor.loadProjectData).toHaveBeenCalledWith({ pages: ['home'], builderVersion: '1.0.0' });
+    expect(options.builderVersion).toBe('2.0.0');
+    expect(versionManager.getSavedVersion()).toBe('1.0.0');
+    expect(eventSystem.emit).toHaveBeenCalledWith('version:backup:restored', backup);
+  });
+
+  it('should not store a version for an unversioned backup', async () => {
+    await backupManager.create(null);
+
+    await backupManager.restore();
+    const storeCallback = editor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+    const data = {};
+    storeCallback(data);
+
+    expect(options.builderVersion).toBe('2.0.0');
+    expect(data).not.toHaveProperty('builderVersion');
+  });
+
+  it('should fail to restore unknown or missing backups', async () => {
+    await expect(backupManager.restore()).rejects.toThrow('No backup to restore');
+    await expect(backupManager.restore('unknown')).rejects.toThrow('Unknown backup "unknown"');
+
+    versionManager.setBackups([{ id: 'lost', fromVersion: '1.0.0' }]);
+    await expect(backupManager.restore('lost')).rejects.toThrow('Backup "lost" is empty or missing from the storage');
+    expect(editor.loadProjectData).not.toHaveBeenCalled();
+  });
+});
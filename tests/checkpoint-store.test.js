@@ -0,0 +1,35 @@
+import LocalStorageCheckpointStore from '../src/checkpoint-store.js';
+
+describe('LocalStorageCheckpointStore', () => {
+  let store;
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = new LocalStorageCheckpointStore();
+  });
+
+  it('should store values as JSON under a prefixed key', () => {
+    store.set('site-1:checkpoint', { completedVersion: '1.2.0' });
+
+    expect(localStorage.getItem('gjs-version-flow:site-1:checkpoint')).toBe('{"completedVersion":"1.2.0"}');
+    expect(store.get('site-1:checkpoint')).toEqual({ completedVersion: '1.2.0' });
+  });
+
+  it('should return null for missing keys', () => {
+    expect(store.get('missing')).toBeNull();
+  });
+
+  it('should remove values', () => {
+    store.set('key', { a: 1 });
+    store.remove('key');
+
+    expect(store.get('key')).toBeNull();
+  });
+
+  it('should use a custom prefix', () => {
+    store = new LocalStorageCheckpointStore('custom:');
+    store.set('key', 1);
+
+    expect(localStorage.getItem('custom:key')).toBe('1');
+  });
+});
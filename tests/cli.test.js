@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main } from '../bin/grapesjs-version-flow.js';
+
+// The command loads the built plugin, the tests run it on the sources
+jest.mock('../dist/index.js', () => ({
+  HeadlessRunner: jest.requireActual('../src/headless-runner.js').default
+}), { virtual: true });
+
+const writeConfig = (dir, name, upgrade) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, `module.exports = {
+    builderVersion: '2.0.0',
+    versions: [{ builderVersion: '2.0.0', upgrade: ${upgrade} }]
+  };`);
+  return file;
+};
+
+const writeProject = (dir, name) => {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    builderVersion: '1.0.0',
+    pages: [{ frames: [{ component: { type: 'wrapper', components: [{ type: 'text', content: 'Home' }] } }] }]
+  }));
+  return file;
+};
+
+describe('grapesjs-version-flow command', () => {
+  let dir;
+  let report;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'version-flow-'));
+    report = path.join(dir, 'report.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep the input file when its upgrade failed', async () => {
+    const config = writeConfig(dir, 'broken.js', "() => { throw new Error('Broken'); }");
+    const project = writeProject(dir, 'site.json');
+    const before = fs.readFileSync(project, 'utf8');
+
+    const code = await main(['--config', config, '--report', report, project]);
+
+    expect(code).toBe(1);
+    expect(fs.readFileSync(project, 'utf8')).toBe(before);
+    expect(JSON.parse(fs.readFileSync(report, 'utf8'))[0]).toMatchObject({ file: project, success: false, failedSteps: ['2.0.0'] });
+  });
+
+  it('should keep the path of the input files in the output directory', async () => {
+    const config = writeConfig(dir, 'versions.js', '() => {}');
+    const first = writeProject(dir, 'projects/first/site.json');
+    const second = writeProject(dir, 'projects/second/site.json');
+    const out = path.join(dir, 'upgraded');
+
+    const code = await main(['--config', config, '--out', out, '--report', report, first, second]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(fs.readFileSync(path.join(out, 'first/site.json'), 'utf8')).builderVersion).toBe('2.0.0');
+    expect(JSON.parse(fs.readFileSync(path.join(out, 'second/site.json'), 'utf8')).builderVersion).toBe('2.0.0');
+  });
+});
@@ -0,0 +1,108 @@
+import EditorQueries from '../src/editor-queries.js';
+
+// Minimal components, children are returned as a collection like in GrapesJS
+const createComponent = ({ tagName = 'div', attributes = {}, classes = [], children = [] } = {}) => ({
+  get: (prop) => (prop === 'tagName' ? tagName : undefined),
+  getAttributes: () => attributes,
+  getClasses: () => classes,
+  getId: () => attributes.id,
+  components: () => ({ models: children })
+});
+
+const createRule = (style) => ({
+  getStyle: () => style,
+  setStyle: jest.fn((newStyle) => { style = newStyle; })
+});
+
+describe('EditorQueries', () => {
+  let editor;
+  let queries;
+  let homeWrapper;
+  let aboutWrapper;
+
+  beforeEach(() => {
+    homeWrapper = createComponent({
+      children: [
+        createComponent({ tagName: 'section', classes: ['hero'], children: [
+          createComponent({ tagName: 'a', attributes: { id: 'cta', href: '/buy' }, classes: ['btn'] })
+        ] })
+      ]
+    });
+    aboutWrapper = createComponent({
+      children: [createComponent({ tagName: 'a', attributes: { href: '/about' }, classes: ['btn', 'big'] })]
+    });
+
+    editor = {
+      getWrapper: () => homeWrapper,
+      Pages: {
+        getAll: () => [
+          { getMainComponent: () => homeWrapper },
+          { getMainComponent: () => aboutWrapper }
+        ]
+      },
+      Css: {
+        getAll: () => ({ models: [createRule({ background: 'url(old.png)' }), createRule({ color: 'red' })] }),
+        getRules: jest.fn(() => [createRule({ color: 'blue' })])
+      },
+      Assets: { getAll: () => ({ models: [{ src: 'a.png' }] }) },
+      Components: { getSymbols: () => [{ id: 'symbol' }] }
+    };
+    queries = new EditorQueries(editor);
+  });
+
+  it('should walk the nested components of the current page', () => {
+    const visited = [];
+    queries.walkComponents((component, parent) => visited.push([component.get('tagName'), parent.get('tagName')]));
+
+    expect(visited).toEqual([['section', 'div'], ['a', 'section']]);
+  });
+
+  it('should find components by selector on every page', () => {
+    expect(queries.findComponents('a.btn')).toHaveLength(1);
+    expect(queries.findComponents('a.btn', { allPages: true })).toHaveLength(2);
+    expect(queries.findComponents('.btn.big, #cta', { allPages: true })).toHaveLength(2);
+    expect(queries.findComponents('[href="/about"]', { allPages: true })).toHaveLength(1);
+    expect(queries.findComponents('[href]')).toHaveLength(1);
+  });
+
+  it('should find components with a predicate', () => {
+    const found = queries.findComponents(component => component.getClasses().includes('hero'), { allPages: true });
+
+    expect(found).toHaveLength(1);
+  });
+
+  it('should reject selectors with combinators', () => {
+    expect(() => queries.findComponents('section > a')).toThrow('Unsupported selector "section > a"');
+  });
+
+  it('should find CSS rules', () => {
+    expect(queries.findRules()).toHaveLength(2);
+    expect(queries.findRules(rule => rule.getStyle().color === 'red')).toHaveLength(1);
+    expect(queries.findRules('.btn')).toHaveLength(1);
+    expect(editor.Css.getRules).toHaveBeenCalledWith('.btn');
+  });
+
+  it('should replace in the property values of rules', () => {
+    const rules = editor.Css.getAll().models;
+    editor.Css.getAll = () => ({ models: rules });
+
+    expect(queries.replaceInRules('old.png', 'new.png')).toBe(1);
+    expect(rules[0].setStyle).toHaveBeenCalledWith({ background: 'url(new.png)' });
+    expect(rules[1].setStyle).not.toHaveBeenCalled();
+  });
+
+  it('should find a component by id on every page', () => {
+    expect(queries.getComponentById('cta').getAttributes().href).toBe('/buy');
+    expect(queries.getComponentById('missing')).toBeNull();
+
+    const registered = createComponent();
+    editor.Components.getById = jest.fn(() => registered);
+    expect(queries.getComponentById('cta')).toBe(registered);
+  });
+
+  it('should return assets and symbols', () => {
+    expect(queries.getAssets()).toEqual([{ src: 'a.png' }]);
+    expect(queries.getSymbols()).toEqual([{ id: 'symbol' }]);
+    expect(new EditorQueries({}).getSymbols()).toEqual([]);
+  });
+});
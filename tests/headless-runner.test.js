@@ -0,0 +1,160 @@
+import realGrapesjs from 'grapesjs';
+import HeadlessRunner from '../src/headless-runner.js';
+
+// Mock the grapesjs module, editors keep the project data they are initialized with
+const createMockGrapesjs = () => ({
+  init: jest.fn((config) => {
+    let projectData = JSON.parse(JSON.stringify(config.projectData));
+    return {
+      config,
+      getProjectData: () => JSON.parse(JSON.stringify(projectData)),
+      setProjectData: (data) => { projectData = data; },
+      on: jest.fn(),
+      trigger: jest.fn(),
+      destroy: jest.fn(),
+      UndoManager: {
+        skip: jest.fn().mockImplementation(async (fn) => await fn())
+      }
+    };
+  })
+});
+
+const createOptions = (overrides = {}) => ({
+  builderVersion: '2.0.0',
+  versions: [
+    {
+      builderVersion: '1.5.0',
+      upgrade: (ctx) => {
+        const data = ctx.getProjectData();
+        data.migrated = ['1.5.0'];
+        ctx.setProjectData(data);
+      }
+    },
+    {
+      builderVersion: '2.0.0',
+      upgrade: (ctx) => {
+        const data = ctx.getProjectData();
+        data.migrated.push('2.0.0');
+        ctx.setProjectData(data);
+        return 'Migrated to 2.0.0';
+      }
+    }
+  ],
+  ...overrides
+});
+
+describe('HeadlessRunner', () => {
+  let grapesjs;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    grapesjs = createMockGrapesjs();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should require the grapesjs module and builderVersion', () => {
+    expect(() => new HeadlessRunner(null, createOptions())).toThrow('requires the grapesjs module');
+    expect(() => new HeadlessRunner(grapesjs, { versions: [] })).toThrow('builderVersion is required');
+  });
+
+  it('should create a headless editor without storage', async () => {
+    const runner = new HeadlessRunner(grapesjs, createOptions({ editorConfig: { height: '100%' } }));
+
+    await runner.upgradeProject({ builderVersion: '1.0.0' });
+
+    expect(grapesjs.init).toHaveBeenCalledWith({
+      headless: true,
+      storageManager: false,
+      height: '100%',
+      projectData: { builderVersion: '1.0.0' }
+    });
+    expect(grapesjs.init.mock.results[0].value.destroy).toHaveBeenCalled();
+  });
+
+  it('should upgrade the project and write the new builderVersion', async () => {
+    const runner = new HeadlessRunner(grapesjs, createOptions());
+
+    const { projectData, report } = await runner.upgradeProject({ builderVersion: '1.0.0' });
+
+    expect(projectData).toEqual({
+      builderVersion: '2.0.0',
+      migrated: ['1.5.0', '2.0.0'],
+      upgradeHistory: [expect.objectContaining({ fromVersion: '1.0.0', toVersion: '2.0.0', success: true })]
+    });
+    expect(report).toEqual({
+      fromVersion: '1.0.0',
+      toVersion: '2.0.0',
+      upgraded: true,
+      success: true,
+      logs: [
+        { level: 'info', message: 'Upgraded to 1.5.0' },
+        { level: 'info', message: 'Migrated to 2.0.0' }
+      ],
+      failedSteps: []
+    });
+  });
+
+  it('should keep the options of the runner untouched between projects', async () => {
+    const runner = new HeadlessRunner(grapesjs, createOptions());
+
+    await runner.upgradeProject({ builderVersion: '1.0.0' });
+    const { report } = await runner.upgradeProject({ builderVersion: '1.5.0', migrated: ['1.5.0'] });
+
+    expect(runner.options.builderVersion).toBe('2.0.0');
+    expect(report.toVersion).toBe('2.0.0');
+    expect(report.logs).toEqual([{ level: 'info', message: 'Migrated to 2.0.0' }]);
+  });
+
+  it('should leave up to date projects untouched', async () => {
+    const runner = new HeadlessRunner(grapesjs, createOptions());
+    const project = { builderVersion: '2.0.0' };
+
+    const { projectData, report } = await runner.upgradeProject(project);
+
+    expect(projectData).toBe(project);
+    expect(report.upgraded).toBe(false);
+    expect(report.success).toBe(true);
+  });
+
+  it('should report failures and only record the version reached', async () => {
+    const runner = new HeadlessRunner(grapesjs, createOptions({
+      continueOnError: false,
+      versions: [
+        { builderVersion: '1.5.0', upgrade: () => 'Migrated to 1.5.0' },
+        { builderVersion: '2.0.0', upgrade: () => { throw new Error('Broken step'); } }
+      ]
+    }));
+
+    const { projectData, report } = await runner.upgradeProject({ builderVersion: '1.0.0' });
+
+    expect(projectData.builderVersion).toBe('1.5.0');
+    expect(report.success).toBe(false);
+    expect(report.toVersion).toBe('1.5.0');
+    expect(report.failedSteps).toEqual(['2.0.0']);
+    expect(report.logs).toContainEqual({
+      level: 'error',
+      message: 'Failed to upgrade to 2.0.0: Broken step'
+    });
+  });
+
+  it('should apply declarative operations with a real headless editor', async () => {
+    const runner = new HeadlessRunner(realGrapesjs, {
+      builderVersion: '2.0.0',
+      versions: [{ builderVersion: '2.0.0', ops: [{ op: 'renameClass', from: 'btn', to: 'button' }] }]
+    });
+
+    const { projectData, report } = await runner.upgradeProject({
+      builderVersion: '1.0.0',
+      pages: [{ component: '<a class="btn">Buy</a>' }]
+    });
+
+    expect(report.success).toBe(true);
+    expect(report.logs[0]).toEqual({ level: 'info', message: 'Renamed class "btn" to "button" on 1 components and 0 rules' });
+    expect(JSON.stringify(projectData.pages)).toContain('"classes":["button"]');
+    expect(projectData.builderVersion).toBe('2.0.0');
+  });
+});
@@ -64,7 +64,125 @@ describe('GrapesJS Version Flow Plugin', () => {
       });
       
       expect(consoleErrorSpy).toHaveBeenCalledWith(
-        '[grapesjs-version-flow] Each version step must have builderVersion and upgrade function'
+        '[grapesjs-version-flow] Each version step must have builderVersion and an upgrade function or ops'
+      );
+      expect(result).toBeUndefined();
+    });
+
+    it('should reject malformed builderVersion', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: 'v1.0',
+        versions: []
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[grapesjs-version-flow] Invalid version "v1.0", expected a semantic version such as 1.2.3 or 1.2.3-beta.1'
+      );
+      expect(result).toBeUndefined();
+    });
+
+    it('should reject malformed step versions', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [{ builderVersion: '1.0.0.1', upgrade: () => {} }]
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[grapesjs-version-flow] Invalid version "1.0.0.1", expected a semantic version such as 1.2.3 or 1.2.3-beta.1'
+      );
+      expect(result).toBeUndefined();
+    });
+
+    it('should not validate version format with a custom compare function', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '2025-01-01',
+        versions: [],
+        compareFn: (a, b) => a.localeCompare(b)
+      });
+
+      expect(result).toBeDefined();
+    });
+
+    it('should accept declarative steps and validate their operations', () => {
+      expect(plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [{ builderVersion: '1.0.0', ops: [{ op: 'renameType', from: 'a', to: 'b' }] }]
+      })).toBeDefined();
+
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [{ builderVersion: '1.0.0', ops: [{ op: 'renameType', from: 'a' }] }]
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[grapesjs-version-flow] Operation renameType requires to');
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate the validators', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [],
+        validators: ['no-legacy']
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[grapesjs-version-flow] validators must be an array of functions');
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate step requirements', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [{ builderVersion: '1.0.0', upgrade: () => {}, requires: [{ namespace: 'forms' }] }]
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[grapesjs-version-flow] requires must be an array of { namespace, version }'
+      );
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate optional steps', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [{ builderVersion: '1.0.0', upgrade: () => {}, optional: 'yes' }]
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[grapesjs-version-flow] optional must be a boolean');
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate the deferral options', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [],
+        mandatory: false,
+        deferInterval: '1 day'
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[grapesjs-version-flow] deferInterval must be a number of milliseconds');
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate the backup option', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [],
+        backup: 3
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[grapesjs-version-flow] backup must be an object or false');
+      expect(result).toBeUndefined();
+    });
+
+    it('should validate newerVersionPolicy', () => {
+      const result = plugin(mockEditor, {
+        builderVersion: '1.0.0',
+        versions: [],
+        newerVersionPolicy: 'ignore'
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[grapesjs-version-flow] newerVersionPolicy must be one of block-save, read-only, warn, allow'
       );
       expect(result).toBeUndefined();
     });
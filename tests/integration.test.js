@@ -1,4 +1,5 @@
 import plugin from '../src/index.js';
+import UpgradeLock from '../src/upgrade-lock.js';
 
 // Create a more realistic mock editor
 const createMockEditor = () => {
@@ -62,6 +63,7 @@ describe('Integration Tests', () => {
     // Set up a realistic scenario
     const options = {
       builderVersion: '2.0.0',
+      projectId: 'site-1',
       versions: [
         {
           builderVersion: '1.1.0',
@@ -100,6 +102,11 @@ describe('Integration Tests', () => {
     pluginInstance = plugin(mockEditor, options);
   });
 
+  afterEach(() => {
+    // Each test is a new tab, close its modal and release its upgrade lock
+    pluginInstance.modalUI.hide();
+  });
+
   describe('Full upgrade flow', () => {
     it('should handle complete upgrade flow from 1.0.0 to 2.0.0', async () => {
       // Simulate an old project - set up the version manager with the saved version
@@ -147,6 +154,181 @@ describe('Integration Tests', () => {
 
 
 
+  describe('Plugin-contributed steps', () => {
+    let formsUpgrade;
+
+    beforeEach(() => {
+      formsUpgrade = jest.fn();
+      mockEditor.VersionFlow.register('forms', [
+        { builderVersion: '1.0.0', upgrade: jest.fn() },
+        { builderVersion: '1.1.0', upgrade: formsUpgrade }
+      ]);
+    });
+
+    it('should show the modal when only a registered stream is outdated', async () => {
+      mockEditor._triggerEvent('storage:load', { builderVersion: '2.0.0', 'builderVersion:forms': '1.0.0' });
+      mockEditor._triggerEvent('storage:end:load');
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.Modal.open).toHaveBeenCalled();
+    });
+
+    it('should upgrade each stream and store its version under its own key', async () => {
+      mockEditor._triggerEvent('storage:load', { builderVersion: '1.5.0', 'builderVersion:forms': '1.0.0' });
+
+      const result = await pluginInstance.upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(true);
+      expect(result.upgradedTo).toBe('2.0.0');
+      expect(formsUpgrade).toHaveBeenCalledTimes(1);
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:versionUpgrade:start', { toVersion: '1.1.0', namespace: 'forms' });
+
+      const data = {};
+      mockEditor._triggerEvent('storage:start:store', data);
+      expect(data.builderVersion).toBe('2.0.0');
+      expect(data['builderVersion:forms']).toBe('1.1.0');
+    });
+  });
+
+  describe('Downgrades', () => {
+    it('should store a project this tab downgraded', async () => {
+      const { upgradeEngine, versionManager } = pluginInstance;
+      versionManager.options.versions[2].downgrade = (ctx) => ctx.addLog('info', 'Removed the new feature flag');
+      versionManager.savedVersion = '2.0.0';
+
+      const result = await upgradeEngine.migrateTo('1.5.0');
+      const data = {};
+      mockEditor._triggerEvent('storage:start:store', data);
+
+      expect(result.success).toBe(true);
+      expect(versionManager.isNewerProject()).toBe(false);
+      expect(data.builderVersion).toBe('1.5.0');
+    });
+  });
+
+  describe('Rollback', () => {
+    it('should store the version of the restored project', async () => {
+      const { upgradeEngine, versionManager } = pluginInstance;
+      versionManager.savedVersion = '1.0.0';
+
+      await upgradeEngine.runUpgrades();
+      upgradeEngine.rollback();
+      const data = {};
+      mockEditor._triggerEvent('storage:start:store', data);
+
+      expect(data.builderVersion).toBe('1.0.0');
+      expect(versionManager.options.builderVersion).toBe('2.0.0');
+      expect(versionManager.needsUpgrade(versionManager.getSavedVersion(), '2.0.0')).toBe(true);
+    });
+
+    it('should not store a version after rolling back a first run', async () => {
+      const { upgradeEngine, versionManager } = pluginInstance;
+
+      await upgradeEngine.runUpgrades();
+      upgradeEngine.rollback();
+      const data = {};
+      mockEditor._triggerEvent('storage:start:store', data);
+
+      expect(data).not.toHaveProperty('builderVersion');
+      expect(versionManager.options.builderVersion).toBe('2.0.0');
+    });
+  });
+
+  describe('Retries', () => {
+    let steps;
+
+    beforeEach(() => {
+      const { versionManager } = pluginInstance;
+      versionManager.savedVersion = '1.0.0';
+      steps = Object.fromEntries(versionManager.options.versions.map(step => [step.builderVersion, step]));
+      steps['1.1.0'].upgrade = jest.fn();
+      steps['1.5.0'].upgrade = jest.fn().mockRejectedValueOnce(new Error('Broken'));
+      steps['2.0.0'].upgrade = jest.fn();
+    });
+
+    it('should only run the failed steps again', async () => {
+      const { upgradeEngine, versionManager } = pluginInstance;
+      const formsUpgrade = jest.fn();
+      mockEditor.VersionFlow.register('forms', [
+        { builderVersion: '1.0.0', upgrade: formsUpgrade, requires: [{ namespace: 'core', version: '1.5.0' }] }
+      ]);
+
+      expect((await upgradeEngine.runUpgrades()).failedSteps).toEqual(['1.5.0']);
+      const result = await upgradeEngine.retryFromFailedStep();
+
+      expect(result).toMatchObject({ success: true, upgradedTo: '2.0.0', failedSteps: [] });
+      expect(steps['1.5.0'].upgrade).toHaveBeenCalledTimes(2);
+      expect(steps['1.1.0'].upgrade).toHaveBeenCalledTimes(1);
+      expect(steps['2.0.0'].upgrade).toHaveBeenCalledTimes(1);
+      expect(formsUpgrade).toHaveBeenCalledTimes(1);
+      expect(versionManager.options.builderVersion).toBe('2.0.0');
+    });
+
+    it('should run the steps a stopped run did not reach', async () => {
+      const { upgradeEngine, versionManager } = pluginInstance;
+      versionManager.options.continueOnError = false;
+
+      expect((await upgradeEngine.runUpgrades()).upgradedTo).toBe('1.1.0');
+      const result = await upgradeEngine.retryFromFailedStep();
+
+      expect(result).toMatchObject({ success: true, upgradedTo: '2.0.0' });
+      expect(steps['1.1.0'].upgrade).toHaveBeenCalledTimes(1);
+      expect(steps['2.0.0'].upgrade).toHaveBeenCalledTimes(1);
+
+      // Rolling back restores the project as it was before the first attempt
+      upgradeEngine.rollback();
+      expect(versionManager.getSavedVersion()).toBe('1.0.0');
+      expect(versionManager.options.builderVersion).toBe('2.0.0');
+    });
+  });
+
+  describe('Interrupted upgrades', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('should offer to resume an interrupted upgrade on load', async () => {
+      localStorage.setItem('gjs-version-flow:site-1:checkpoint', JSON.stringify({
+        fromVersion: '1.0.0',
+        completedVersion: '1.1.0',
+        direction: 'upgrade',
+        data: {},
+        logs: [],
+        snapshotId: 'site-1:snapshot'
+      }));
+      pluginInstance.versionManager.savedVersion = '1.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:interrupted', {
+        fromVersion: '1.0.0',
+        completedVersion: '1.1.0'
+      });
+      expect(mockEditor.trigger).not.toHaveBeenCalledWith('version:outdated', expect.anything());
+      expect(pluginInstance.modalUI.currentState).toBe('interrupted');
+    });
+
+    it('should discard a checkpoint when the project was saved since', async () => {
+      localStorage.setItem('gjs-version-flow:site-1:checkpoint', JSON.stringify({
+        fromVersion: '1.0.0',
+        completedVersion: '1.1.0',
+        direction: 'upgrade'
+      }));
+      pluginInstance.versionManager.savedVersion = '2.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.trigger).not.toHaveBeenCalledWith('version:interrupted', expect.anything());
+      expect(localStorage.getItem('gjs-version-flow:site-1:checkpoint')).toBeNull();
+      // Other tabs can upgrade the project
+      expect(pluginInstance.upgradeEngine.holdsLock).toBe(false);
+      expect(localStorage.getItem('gjs-version-flow:site-1:lock')).toBeNull();
+    });
+  });
+
   describe('Modal UI integration', () => {
     it('should show modal when upgrade is needed', async () => {
       pluginInstance.versionManager.savedVersion = '1.0.0';
@@ -162,6 +344,371 @@ describe('Integration Tests', () => {
       expect(mockEditor.Modal.open).toHaveBeenCalled();
     });
 
+    it('should list the pending steps and run the selected optional ones', async () => {
+      const { modalUI, versionManager, upgradeEngine } = pluginInstance;
+      Object.assign(versionManager.options.versions[1], { optional: true, description: 'Async features' });
+      versionManager.savedVersion = '1.0.0';
+
+      modalUI.showOutdatedState('1.0.0', '2.0.0');
+      const content = mockEditor.Modal.open.mock.results[0].value.setContent.mock.calls[0][0];
+      document.body.innerHTML = content;
+
+      expect(document.querySelectorAll('input[type="checkbox"][disabled]')).toHaveLength(2);
+      expect(content).toContain('Async features');
+
+      const optionalStep = document.querySelector('[data-optional-step="1.5.0"]');
+      optionalStep.checked = true;
+      optionalStep.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(modalUI.selectedOptionalSteps).toEqual(['1.5.0']);
+
+      optionalStep.checked = false;
+      optionalStep.dispatchEvent(new Event('change', { bubbles: true }));
+      document.querySelector('[data-action="upgrade"]').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(upgradeEngine.allLogs).toContainEqual({ level: 'skipped', message: 'Declined 1.5.0, an optional step' });
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:upgrade:end', { upgradedTo: '2.0.0', hasFailures: false });
+      document.body.innerHTML = '';
+    });
+
+    it('should defer non-mandatory upgrades until the user resumes them', async () => {
+      const { modalUI, versionManager } = pluginInstance;
+      mockEditor.Panels = { getButton: jest.fn(), addButton: jest.fn(), removeButton: jest.fn() };
+      versionManager.options.mandatory = false;
+      versionManager.savedVersion = '1.0.0';
+
+      modalUI.showOutdatedState('1.0.0', '2.0.0');
+      document.body.innerHTML = mockEditor.Modal.open.mock.results[0].value.setContent.mock.calls[0][0];
+      document.querySelector('[data-action="later"]').click();
+
+      expect(mockEditor.Modal.close).toHaveBeenCalled();
+      expect(versionManager.getDeferredAt()).not.toBeNull();
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:deferred', expect.objectContaining({
+        deferredAt: versionManager.getDeferredAt()
+      }));
+      expect(mockEditor.Panels.addButton).toHaveBeenCalledWith('options', expect.objectContaining({
+        id: 'gjs-version-flow-resume'
+      }));
+
+      // The panel button brings the outdated modal back
+      await mockEditor.Panels.addButton.mock.calls[0][1].command();
+
+      expect(mockEditor.Panels.removeButton).toHaveBeenCalledWith('options', 'gjs-version-flow-resume');
+      expect(versionManager.getDeferredAt()).toBeNull();
+      expect(modalUI.currentState).toBe('outdated');
+      document.body.innerHTML = '';
+    });
+
+    it('should not show the modal on load while the upgrade is deferred', async () => {
+      const { modalUI, versionManager } = pluginInstance;
+      mockEditor.Panels = { getButton: jest.fn(), addButton: jest.fn(), removeButton: jest.fn() };
+      versionManager.options.mandatory = false;
+      versionManager.savedVersion = '1.0.0';
+      versionManager.defer();
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.Modal.open).not.toHaveBeenCalled();
+      expect(mockEditor.Panels.addButton).toHaveBeenCalled();
+
+      // Mandatory steps cannot wait
+      versionManager.options.mandatory = true;
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.Modal.open).toHaveBeenCalled();
+      expect(versionManager.getDeferredAt()).toBeNull();
+      clearTimeout(modalUI.reminderTimeout);
+    });
+
+    it('should wait for another tab which upgrades the project', async () => {
+      const { modalUI, versionManager, upgradeEngine } = pluginInstance;
+      const otherTab = new UpgradeLock();
+      await otherTab.acquire('site-1:lock');
+      mockEditor.load = jest.fn();
+      versionManager.savedVersion = '1.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.trigger).not.toHaveBeenCalledWith('version:outdated', expect.anything());
+      expect(modalUI.currentState).toBe('locked');
+
+      // The other tab finished and stored the project
+      upgradeEngine.stopWaitingForLock();
+      otherTab.release('site-1:lock');
+      pluginInstance.eventSystem.emit('version:unlocked', { projectId: 'site-1' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockEditor.Modal.close).toHaveBeenCalled();
+      expect(mockEditor.load).toHaveBeenCalled();
+    });
+
+    it('should release the lock when the run ends if its modal was closed', async () => {
+      const { modalUI, versionManager, upgradeEngine } = pluginInstance;
+      versionManager.savedVersion = '1.0.0';
+      modalUI.showOutdatedState('1.0.0', '2.0.0');
+      await upgradeEngine.acquireLock();
+      const modal = mockEditor.Modal.open.mock.results[0].value;
+
+      const run = modalUI.startUpgrade();
+      mockEditor._triggerEvent('modal:close');
+      expect(modalUI.modal).toBeNull();
+      expect(upgradeEngine.holdsLock).toBe(true);
+      await run;
+
+      expect(upgradeEngine.holdsLock).toBe(false);
+      expect(localStorage.getItem('gjs-version-flow:site-1:lock')).toBeNull();
+      expect(modal.setTitle).not.toHaveBeenCalledWith('modal.completed.title');
+      expect(mockEditor.Modal.open).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore the other modals of the editor', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      modalUI.showOutdatedState('1.0.0', '2.0.0');
+      await upgradeEngine.acquireLock();
+      mockEditor.Modal.getContentEl = () => document.createElement('div');
+
+      mockEditor._triggerEvent('modal:close');
+
+      expect(modalUI.modal).not.toBeNull();
+      expect(upgradeEngine.holdsLock).toBe(true);
+    });
+
+    it('should show the history from the editor API', async () => {
+      pluginInstance.versionManager.savedVersion = '1.0.0';
+      await mockEditor.VersionFlow.runUpgrades();
+
+      mockEditor.VersionFlow.showHistory();
+
+      expect(pluginInstance.modalUI.currentState).toBe('history');
+      expect(mockEditor.VersionFlow.getHistory()).toHaveLength(1);
+      expect(mockEditor.Modal.open.mock.results[0].value.setTitle).toHaveBeenCalledWith('modal.history.title');
+    });
+
+    it('should offer to restore the backups once the upgrade is over', () => {
+      const { modalUI, versionManager } = pluginInstance;
+      versionManager.setBackups([{ id: 'site-1.backup-1.0.0', fromVersion: '1.0.0', createdAt: new Date().toISOString() }]);
+      const modal = mockEditor.Modal.open();
+
+      modalUI.showCompletedState('2.0.0');
+      expect(modal.setContent.mock.calls.pop()[0]).toContain('data-backup="site-1.backup-1.0.0"');
+
+      modalUI.showErrorState('1.5.0', { message: 'Broken' });
+      expect(modal.setContent.mock.calls.pop()[0]).toContain('data-backup="site-1.backup-1.0.0"');
+    });
+
+    it('should ask the prompts of a step in the modal', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      modalUI.showUpgradingState();
+      document.body.innerHTML = `<div id="${modalUI.getClassName('prompt')}"></div>`;
+
+      const answer = upgradeEngine.prompt({
+        title: 'Contact form',
+        choices: [{ value: 'keep', label: 'Keep' }, { value: 'convert', label: 'Convert' }]
+      }, { logs: [] });
+
+      const buttons = document.querySelectorAll('[data-action="prompt-answer"]');
+      expect(buttons).toHaveLength(2);
+      buttons[1].click();
+
+      expect(await answer).toBe('convert');
+      expect(document.querySelectorAll('[data-action="prompt-answer"]')).toHaveLength(0);
+      document.body.innerHTML = '';
+    });
+
+    it('should ask the prompts of a minimized modal once it is expanded', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      const onAnswer = jest.fn();
+      modalUI.showUpgradingState();
+      modalUI.minimize();
+
+      const answer = upgradeEngine.prompt({ title: 'Contact form', choices: ['keep', 'convert'] }, { logs: [] });
+      answer.then(onAnswer);
+      await Promise.resolve();
+      expect(onAnswer).not.toHaveBeenCalled();
+
+      document.body.innerHTML = `<div id="${modalUI.getClassName('prompt')}"></div>`;
+      modalUI.expand();
+      document.querySelectorAll('[data-action="prompt-answer"]')[1].click();
+
+      expect(await answer).toBe('convert');
+      document.body.innerHTML = '';
+    });
+
+    it('should log the default answer of a prompt the modal cannot show', async () => {
+      const { upgradeEngine } = pluginInstance;
+      const logs = [];
+
+      const answer = await upgradeEngine.prompt({ title: 'Contact form', choices: ['keep', 'convert'] }, { logs });
+
+      expect(answer).toBe('keep');
+      expect(logs).toEqual([{ level: 'info', message: 'Contact form: keep (default answer)' }]);
+    });
+
+    it('should reject a prompt when its step is aborted', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      modalUI.showUpgradingState();
+      document.body.innerHTML = `<div id="${modalUI.getClassName('prompt')}"></div>`;
+      const controller = new AbortController();
+
+      const answer = upgradeEngine.prompt({ title: 'Contact form', choices: ['keep', 'convert'] }, { logs: [], signal: controller.signal });
+      controller.abort(new Error('Cancelled'));
+
+      await expect(answer).rejects.toThrow('Cancelled');
+      expect(modalUI.pendingPrompt).toBeNull();
+      expect(document.querySelectorAll('[data-action="prompt-answer"]')).toHaveLength(0);
+      document.body.innerHTML = '';
+    });
+
+    it('should drop the prompt of an ended run when hiding the modal', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      modalUI.showUpgradingState();
+      document.body.innerHTML = `<div id="${modalUI.getClassName('prompt')}"></div>`;
+      const onAnswer = jest.fn();
+
+      upgradeEngine.prompt({ title: 'Contact form', choices: ['keep', 'convert'] }, { logs: [] }).then(onAnswer);
+      modalUI.hide();
+      await Promise.resolve();
+
+      expect(modalUI.pendingPrompt).toBeNull();
+      expect(onAnswer).not.toHaveBeenCalled();
+      document.body.innerHTML = '';
+    });
+
+    it('should select the component of a log in the canvas', async () => {
+      const { modalUI, upgradeEngine } = pluginInstance;
+      const component = { getId: () => 'cta', page: { id: 'about' } };
+      mockEditor.Panels = { getButton: jest.fn(), addButton: jest.fn(), removeButton: jest.fn() };
+      mockEditor.Components = { getById: jest.fn(() => component) };
+      mockEditor.Pages = { get: jest.fn(), getSelected: jest.fn(() => ({ id: 'home' })), select: jest.fn() };
+      mockEditor.Canvas = { scrollTo: jest.fn() };
+      mockEditor.select = jest.fn();
+      mockEditor.once = jest.fn((event, callback) => callback());
+
+      upgradeEngine.createUpgradeContext().addLog('info', 'Upgraded to 1.1.0');
+      upgradeEngine.createUpgradeContext().addLog({ level: 'warn', message: 'Removed 3 deprecated attributes', componentId: 'cta' });
+      modalUI.showCompletedState('2.0.0');
+      const modal = mockEditor.Modal.open.mock.results[0].value;
+      document.body.innerHTML = modal.setContent.mock.calls[modal.setContent.mock.calls.length - 1][0];
+
+      expect(document.querySelectorAll('[data-action="show-log-target"]')).toHaveLength(1);
+      document.querySelector('[data-action="show-log-target"]').click();
+
+      // The modal is minimized to show the component on its page
+      expect(mockEditor.Modal.close).toHaveBeenCalled();
+      expect(mockEditor.Pages.select).toHaveBeenCalledWith(component.page);
+      expect(mockEditor.once).toHaveBeenCalledWith('canvas:frame:load:body', expect.any(Function));
+      expect(mockEditor.select).toHaveBeenCalledWith(component);
+      expect(mockEditor.Canvas.scrollTo).toHaveBeenCalledWith(component, { behavior: 'smooth' });
+
+      // The panel button opens it again
+      mockEditor.Panels.addButton.mock.calls[0][1].command();
+
+      expect(mockEditor.Panels.removeButton).toHaveBeenCalledWith('options', 'gjs-version-flow-expand');
+      expect(modalUI.modal).not.toBeNull();
+      expect(modal.setContent).toHaveBeenLastCalledWith(modalUI.renderCompletedContent('2.0.0'));
+      document.body.innerHTML = '';
+    });
+
+    it('should group, filter, search and copy the logs in the modal', async () => {
+      const { modalUI, upgradeEngine, versionManager } = pluginInstance;
+      versionManager.savedVersion = '1.0.0';
+      await upgradeEngine.runUpgrades();
+
+      const modal = mockEditor.Modal.open.mock.results[0].value;
+      document.body.innerHTML = modal.setContent.mock.calls[modal.setContent.mock.calls.length - 1][0];
+      const getHeaders = () => [...document.querySelectorAll('[data-action="toggle-log-group"]')];
+
+      expect(getHeaders().map(header => header.getAttribute('data-group'))).toEqual(['1.1.0', '1.5.0', '2.0.0']);
+      expect(document.querySelector('[data-level="info"]').textContent.trim()).toBe('log.level.info 6');
+
+      // Level filters
+      document.querySelector('[data-level="info"]').click();
+      expect(getHeaders()).toHaveLength(0);
+      expect(document.querySelector('[data-level="info"]').getAttribute('aria-pressed')).toBe('false');
+      document.querySelector('[data-level="info"]').click();
+
+      // Search
+      const search = document.getElementById(modalUI.getClassName('log-search'));
+      search.value = 'ASYNC';
+      search.dispatchEvent(new Event('input', { bubbles: true }));
+      expect(getHeaders().map(header => header.getAttribute('data-group'))).toEqual(['1.5.0']);
+      expect(document.querySelectorAll(`.${modalUI.getClassName('log-entry')}`)).toHaveLength(3);
+
+      // Collapsible groups, from a click anywhere in the header
+      getHeaders()[0].querySelector('span').click();
+      expect(getHeaders()[0].parentElement.classList.contains('open')).toBe(false);
+
+      // Copy what is shown
+      const writeText = jest.fn().mockResolvedValue();
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      document.querySelector('[data-action="copy-logs"]').click();
+
+      expect(writeText).toHaveBeenCalledWith([
+        '1.5.0',
+        '[info] Starting async upgrade to 1.5.0',
+        '[info] Completed async upgrade to 1.5.0',
+        '[info] Async upgrade completed'
+      ].join('\n'));
+      delete navigator.clipboard;
+      document.body.innerHTML = '';
+    });
+
+    it('should keep the quotes of the log search in the toolbar', () => {
+      const { modalUI } = pluginInstance;
+      modalUI.logSearch = '"><b>forms';
+
+      document.body.innerHTML = modalUI.renderLogToolbar();
+
+      expect(document.getElementById(modalUI.getClassName('log-search')).value).toBe('"><b>forms');
+      expect(document.querySelector('b')).toBeNull();
+      document.body.innerHTML = '';
+    });
+
+    it('should handle each click once after the modal is opened again', async () => {
+      const { modalUI, upgradeEngine, versionManager } = pluginInstance;
+      mockEditor.Panels = { getButton: jest.fn(), addButton: jest.fn(), removeButton: jest.fn() };
+      versionManager.savedVersion = '1.0.0';
+      await upgradeEngine.runUpgrades();
+      modalUI.minimize();
+      modalUI.expand();
+
+      const modal = mockEditor.Modal.open.mock.results[0].value;
+      document.body.innerHTML = modal.setContent.mock.calls[modal.setContent.mock.calls.length - 1][0];
+      document.querySelector('[data-level="info"]').click();
+
+      expect(modalUI.logLevels.info).toBe(false);
+      document.body.innerHTML = '';
+    });
+
+    it('should download the report of the upgrade from the modal', async () => {
+      const { modalUI, upgradeEngine, versionManager } = pluginInstance;
+      versionManager.savedVersion = '1.0.0';
+      await upgradeEngine.runUpgrades();
+
+      const modal = mockEditor.Modal.open.mock.results[0].value;
+      document.body.innerHTML = modal.setContent.mock.calls[modal.setContent.mock.calls.length - 1][0];
+      URL.createObjectURL = jest.fn().mockReturnValue('blob:report');
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        expect(this.download).toBe('upgrade-report-site-1-1.0.0-2.0.0.md');
+        expect(this.href).toBe('blob:report');
+      });
+
+      const select = document.getElementById(modalUI.getClassName('report-format'));
+      select.value = 'markdown';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      document.querySelector('[data-action="download-report"]').click();
+
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown');
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+      click.mockRestore();
+      document.body.innerHTML = '';
+    });
+
     it('should not show modal when no upgrade is needed', async () => {
       pluginInstance.versionManager.savedVersion = '2.0.0';
       mockEditor.setProjectData({ builderVersion: '2.0.0' });
@@ -202,6 +749,53 @@ describe('Integration Tests', () => {
       expect(mockEditor.trigger).not.toHaveBeenCalledWith('version:outdated', expect.anything());
     });
 
+    it('should warn about projects saved with a newer version', async () => {
+      pluginInstance.versionManager.savedVersion = '3.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:newer', {
+        savedVersion: '3.0.0',
+        currentVersion: '2.0.0',
+        policy: 'block-save'
+      });
+      expect(pluginInstance.modalUI.currentState).toBe('newer');
+      expect(mockEditor.Modal.open).toHaveBeenCalled();
+    });
+
+    it('should not show the modal for newer projects with the allow policy', async () => {
+      mockEditor = createMockEditor();
+      const allowPlugin = plugin(mockEditor, {
+        builderVersion: '2.0.0',
+        versions: [],
+        newerVersionPolicy: 'allow'
+      });
+      allowPlugin.versionManager.savedVersion = '3.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.trigger).toHaveBeenCalledWith('version:newer', expect.objectContaining({ policy: 'allow' }));
+      expect(mockEditor.Modal.open).not.toHaveBeenCalled();
+    });
+
+    it('should switch to preview mode with the read-only policy', async () => {
+      mockEditor = createMockEditor();
+      mockEditor.runCommand = jest.fn();
+      const readOnlyPlugin = plugin(mockEditor, {
+        builderVersion: '2.0.0',
+        versions: [],
+        newerVersionPolicy: 'read-only'
+      });
+      readOnlyPlugin.versionManager.savedVersion = '3.0.0';
+
+      mockEditor._triggerEvent('storage:end:load');
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(mockEditor.runCommand).toHaveBeenCalledWith('core:preview');
+    });
+
     it('should handle empty versions array', async () => {
       const emptyOptions = {
         builderVersion: '1.0.0',
@@ -0,0 +1,109 @@
+import MigrationOps from '../src/migration-ops.js';
+
+const createProject = (components, styles = []) => ({
+  pages: [{
+    id: 'home',
+    frames: [{ component: { type: 'wrapper', components } }]
+  }],
+  styles
+});
+
+describe('MigrationOps', () => {
+  let migrationOps;
+
+  beforeEach(() => {
+    migrationOps = new MigrationOps();
+  });
+
+  it('should validate operations', () => {
+    expect(migrationOps.validate({ op: 'renameType', from: 'a', to: 'b' })).toBeNull();
+    expect(migrationOps.validate({ op: 'explode' })).toMatch('Unknown operation "explode"');
+    expect(migrationOps.validate({ op: 'renameType', from: 'a' })).toBe('Operation renameType requires to');
+    expect(() => migrationOps.apply(createProject([]), { op: 'removeAttr' })).toThrow('Operation removeAttr requires name');
+  });
+
+  it('should rename component types in nested components', () => {
+    const project = createProject([
+      { type: 'legacy-button' },
+      { type: 'text', components: [{ type: 'legacy-button' }] }
+    ]);
+
+    const message = migrationOps.apply(project, { op: 'renameType', from: 'legacy-button', to: 'button' });
+
+    const [first, second] = project.pages[0].frames[0].component.components;
+    expect(first.type).toBe('button');
+    expect(second.components[0].type).toBe('button');
+    expect(message).toBe('Renamed type "legacy-button" to "button" on 2 components');
+  });
+
+  it('should rename classes on components and rules', () => {
+    const project = createProject(
+      [{ classes: ['btn', { name: 'big' }] }, { classes: [{ name: 'btn', active: false }] }],
+      [
+        { selectors: ['btn'], style: { color: 'red' } },
+        { selectors: [], selectorsAdd: '.btn > .btn-icon', style: { width: '1em' } },
+        { selectors: ['#btn'], style: { color: 'blue' } }
+      ]
+    );
+
+    const message = migrationOps.apply(project, { op: 'renameClass', from: 'btn', to: 'button' });
+
+    const [first, second] = project.pages[0].frames[0].component.components;
+    expect(first.classes).toEqual(['button', { name: 'big' }]);
+    expect(second.classes).toEqual([{ name: 'button', active: false }]);
+    expect(project.styles[0].selectors).toEqual(['button']);
+    expect(project.styles[1].selectorsAdd).toBe('.button > .btn-icon');
+    expect(project.styles[2].selectors).toEqual(['#btn']);
+    expect(message).toBe('Renamed class "btn" to "button" on 2 components and 2 rules');
+  });
+
+  it('should rename traits and the attributes holding their value', () => {
+    const project = createProject([
+      { type: 'link', traits: ['href', { name: 'target-blank' }], attributes: { 'target-blank': true } },
+      { type: 'image', attributes: { 'target-blank': true } }
+    ]);
+
+    migrationOps.apply(project, { op: 'renameTrait', from: 'target-blank', to: 'new-tab', type: 'link' });
+
+    const [link, image] = project.pages[0].frames[0].component.components;
+    expect(link.traits).toEqual(['href', { name: 'new-tab' }]);
+    expect(link.attributes).toEqual({ 'new-tab': true });
+    expect(image.attributes).toEqual({ 'target-blank': true });
+  });
+
+  it('should remove attributes', () => {
+    const project = createProject([{ attributes: { id: 'a', 'data-old': '1' } }, { attributes: { id: 'b' } }]);
+
+    const message = migrationOps.apply(project, { op: 'removeAttr', name: 'data-old' });
+
+    expect(project.pages[0].frames[0].component.components[0].attributes).toEqual({ id: 'a' });
+    expect(message).toBe('Removed attribute "data-old" from 1 components');
+  });
+
+  it('should set a style property on a matching rule or add the rule', () => {
+    const project = createProject([], [
+      { selectors: ['btn'], style: { color: 'red' } },
+      { selectors: ['btn'], mediaText: '(max-width: 768px)', style: { color: 'blue' } }
+    ]);
+
+    migrationOps.apply(project, { op: 'setStyleProp', selector: '.btn', prop: 'padding', value: '4px' });
+    migrationOps.apply(project, { op: 'setStyleProp', selector: '.card:hover', prop: 'opacity', value: '1' });
+
+    expect(project.styles[0].style).toEqual({ color: 'red', padding: '4px' });
+    expect(project.styles[1].style).toEqual({ color: 'blue' });
+    expect(project.styles[2]).toEqual({ selectors: [], selectorsAdd: '.card:hover', style: { opacity: '1' } });
+  });
+
+  it('should rename style properties', () => {
+    const project = createProject([], [
+      { selectors: ['btn'], style: { 'grid-gap': '4px', color: 'red' } },
+      { selectors: ['#title'], style: { 'grid-gap': '8px' } }
+    ]);
+
+    const message = migrationOps.apply(project, { op: 'renameStyleProp', from: 'grid-gap', to: 'gap', selector: '#title' });
+
+    expect(project.styles[0].style).toEqual({ 'grid-gap': '4px', color: 'red' });
+    expect(project.styles[1].style).toEqual({ gap: '8px' });
+    expect(message).toBe('Renamed style property "grid-gap" to "gap" in 1 rules');
+  });
+});
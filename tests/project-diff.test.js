@@ -0,0 +1,81 @@
+import ProjectDiff from '../src/project-diff.js';
+
+const createProject = (components, styles = []) => ({
+  pages: [{
+    id: 'home',
+    frames: [{ component: { type: 'wrapper', components } }]
+  }],
+  styles
+});
+
+describe('ProjectDiff', () => {
+  let projectDiff;
+
+  beforeEach(() => {
+    projectDiff = new ProjectDiff();
+  });
+
+  it('should report no changes for identical projects', () => {
+    const project = createProject([{ type: 'text' }]);
+    const diff = projectDiff.compare(project, createProject([{ type: 'text' }]));
+
+    expect(projectDiff.hasChanges(diff)).toBe(false);
+  });
+
+  it('should detect added, removed and changed components', () => {
+    const before = createProject([
+      { type: 'text', attributes: { id: 'title' } },
+      { type: 'image', attributes: { id: 'logo' } }
+    ]);
+    const after = createProject([
+      { type: 'heading', attributes: { id: 'title' } },
+      { type: 'link', attributes: { id: 'cta' } }
+    ]);
+
+    const diff = projectDiff.compare(before, after);
+
+    expect(diff.components).toEqual({
+      added: ['home/0/#cta'],
+      removed: ['home/0/#logo'],
+      changed: ['home/0/#title']
+    });
+  });
+
+  it('should detect style changes by selector', () => {
+    const before = createProject([], [
+      { selectors: ['#title'], style: { color: 'red' } },
+      { selectors: [{ name: 'btn' }], state: 'hover', style: { color: 'blue' } }
+    ]);
+    const after = createProject([], [
+      { selectors: ['#title'], style: { color: 'green' } },
+      { selectors: [{ name: 'btn' }], mediaText: '(max-width: 768px)', style: { color: 'blue' } }
+    ]);
+
+    const diff = projectDiff.compare(before, after);
+
+    expect(diff.styles).toEqual({
+      added: ['@media (max-width: 768px) .btn'],
+      removed: ['.btn:hover'],
+      changed: ['#title']
+    });
+  });
+
+  it('should detect added and removed pages', () => {
+    const before = { pages: [{ id: 'home' }, { id: 'about' }] };
+    const after = { pages: [{ id: 'home', name: 'Home' }, { id: 'contact' }] };
+
+    const diff = projectDiff.compare(before, after);
+
+    expect(diff.pages).toEqual({
+      added: ['contact'],
+      removed: ['about'],
+      changed: ['home']
+    });
+  });
+
+  it('should handle empty project data', () => {
+    const diff = projectDiff.compare({}, null);
+
+    expect(projectDiff.hasChanges(diff)).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import ReportFormatter from '../src/report-formatter.js';
+
+const createReport = () => {
+  const stepLog = { level: 'warn', message: 'Renamed <b>.btn</b>', componentId: 'cta', pageId: 'home' };
+  const errorLog = { level: 'error', message: 'Upgrade to 2.0.0 failed: Broken' };
+  const backupLog = { level: 'info', message: 'Backed up the project as site-1.backup-1.0.0' };
+
+  return {
+    direction: 'upgrade',
+    fromVersion: '1.0.0',
+    toVersion: '1.5.0',
+    targetVersion: '2.0.0',
+    success: false,
+    cancelled: false,
+    error: null,
+    startedAt: '2024-05-02T09:12:03.120Z',
+    finishedAt: '2024-05-02T09:12:04.480Z',
+    duration: 1360,
+    steps: [
+      { label: '1.5.0', version: '1.5.0', status: 'success', startedAt: '2024-05-02T09:12:03.200Z', duration: 12, logs: [stepLog] },
+      { label: '2.0.0', version: '2.0.0', status: 'failed', error: 'Broken', startedAt: '2024-05-02T09:12:03.212Z', duration: 1200, logs: [errorLog] }
+    ],
+    failedSteps: ['2.0.0'],
+    logs: [backupLog, stepLog, errorLog],
+    environment: { projectId: 'site-1', grapesjsVersion: null, locale: 'en' }
+  };
+};
+
+describe('ReportFormatter', () => {
+  let formatter;
+  let report;
+
+  beforeEach(() => {
+    formatter = new ReportFormatter();
+    report = createReport();
+  });
+
+  it('should format the report as JSON', () => {
+    expect(JSON.parse(formatter.format(report))).toEqual(report);
+    expect(formatter.getFileName(report, 'json')).toBe('upgrade-report-site-1-1.0.0-1.5.0.json');
+    expect(formatter.getMimeType('json')).toBe('application/json');
+  });
+
+  it('should format the report as Markdown with the logs grouped by step', () => {
+    const markdown = formatter.format(report, 'markdown');
+
+    expect(markdown).toContain('# Upgrade report: 1.0.0 → 1.5.0');
+    expect(markdown).toContain('- Status: failed');
+    expect(markdown).toContain('- Failed steps: 2.0.0');
+    expect(markdown).toContain('| 1.5.0 | success | 12 ms | 0 | 1 | 0 |');
+    expect(markdown).toContain('| 2.0.0 | failed | 1.2 s | 0 | 0 | 1 |');
+    expect(markdown).toContain('- **warn** Renamed <b>.btn</b> (component cta, page home)');
+    expect(markdown).toContain('## 2.0.0\n\n- **error** Upgrade to 2.0.0 failed: Broken');
+    expect(markdown).toContain('## Other logs\n\n- **info** Backed up the project as site-1.backup-1.0.0');
+    expect(markdown).toContain('- grapesjsVersion: Unknown');
+    expect(formatter.getFileName(report, 'markdown')).toBe('upgrade-report-site-1-1.0.0-1.5.0.md');
+  });
+
+  it('should format the report as a standalone HTML page', () => {
+    const html = formatter.format(report, 'html');
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<style>');
+    expect(html).toContain('Renamed &lt;b&gt;.btn&lt;/b&gt; (component cta, page home)');
+    expect(html).not.toContain('<b>.btn</b>');
+    expect(html).toContain('<h2>Other logs</h2>');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => formatter.format(report, 'pdf')).toThrow('Unknown report format "pdf", use one of json, markdown, html');
+  });
+});
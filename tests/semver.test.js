@@ -0,0 +1,58 @@
+import { isValidVersion, splitVersion, comparePrerelease } from '../src/semver.js';
+
+describe('semver', () => {
+  describe('isValidVersion', () => {
+    it('should accept semantic versions', () => {
+      expect(isValidVersion('1.2.3')).toBe(true);
+      expect(isValidVersion('1.3.0-canary.0')).toBe(true);
+      expect(isValidVersion('2.0.0-beta.10+build.42')).toBe(true);
+      expect(isValidVersion('1.0.0+20250101')).toBe(true);
+    });
+
+    it('should accept shortened numeric cores', () => {
+      expect(isValidVersion('1')).toBe(true);
+      expect(isValidVersion('1.2')).toBe(true);
+    });
+
+    it('should reject malformed versions', () => {
+      expect(isValidVersion('')).toBe(false);
+      expect(isValidVersion('v1.2.3')).toBe(false);
+      expect(isValidVersion('1.2.3.4')).toBe(false);
+      expect(isValidVersion('01.2.3')).toBe(false);
+      expect(isValidVersion('1.2.beta')).toBe(false);
+      expect(isValidVersion('1.2.3-')).toBe(false);
+      expect(isValidVersion('1.2.3-beta..1')).toBe(false);
+      expect(isValidVersion(null)).toBe(false);
+      expect(isValidVersion(123)).toBe(false);
+    });
+  });
+
+  describe('splitVersion', () => {
+    it('should split core and prerelease and drop build metadata', () => {
+      expect(splitVersion('1.2.3')).toEqual({ core: '1.2.3', prerelease: '' });
+      expect(splitVersion('1.2.3-rc.1+build.5')).toEqual({ core: '1.2.3', prerelease: 'rc.1' });
+      expect(splitVersion('1.2.3-x-y-z')).toEqual({ core: '1.2.3', prerelease: 'x-y-z' });
+    });
+  });
+
+  describe('comparePrerelease', () => {
+    it('should rank releases above prereleases', () => {
+      expect(comparePrerelease('', 'beta')).toBe(1);
+      expect(comparePrerelease('beta', '')).toBe(-1);
+      expect(comparePrerelease('', '')).toBe(0);
+    });
+
+    it('should follow semver precedence', () => {
+      const ordered = ['alpha', 'alpha.1', 'alpha.beta', 'beta', 'beta.2', 'beta.11', 'rc.1'];
+      for (let i = 0; i < ordered.length - 1; i++) {
+        expect(comparePrerelease(ordered[i], ordered[i + 1])).toBe(-1);
+        expect(comparePrerelease(ordered[i + 1], ordered[i])).toBe(1);
+      }
+    });
+
+    it('should rank numeric identifiers below alphanumeric ones', () => {
+      expect(comparePrerelease('1', 'alpha')).toBe(-1);
+      expect(comparePrerelease('alpha', '1')).toBe(1);
+    });
+  });
+});
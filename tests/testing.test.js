@@ -0,0 +1,91 @@
+import { createDataEditor, createTestEditor, runChainOnFixture, runStepOnFixture } from '../src/testing.js';
+
+const fixture = {
+  builderVersion: '1.0.0',
+  pages: [{ frames: [{ component: { type: 'wrapper', components: [{ type: 'legacy-button' }] } }] }]
+};
+
+const versions = [
+  { builderVersion: '1.5.0', ops: [{ op: 'renameType', from: 'legacy-button', to: 'button' }] },
+  {
+    builderVersion: '2.0.0',
+    upgrade: (ctx) => {
+      const data = ctx.getProjectData();
+      data.migrated = true;
+      ctx.setProjectData(data);
+      return 'Flagged as migrated';
+    }
+  }
+];
+
+describe('testing', () => {
+  it('should create a headless editor without storage', () => {
+    const grapesjs = { init: jest.fn(() => ({})) };
+
+    createTestEditor(grapesjs, fixture, { height: '100%' });
+
+    expect(grapesjs.init).toHaveBeenCalledWith({
+      headless: true,
+      storageManager: false,
+      height: '100%',
+      projectData: fixture
+    });
+  });
+
+  it('should keep a copy of the project data in data editors', () => {
+    const editor = createDataEditor(fixture);
+    const data = editor.getProjectData();
+    data.changed = true;
+
+    expect(editor.getProjectData()).toEqual(fixture);
+  });
+
+  it('should run a chain of steps from the version of the fixture', async () => {
+    const result = await runChainOnFixture(versions, fixture);
+
+    expect(result).toEqual({
+      projectData: {
+        builderVersion: '2.0.0',
+        pages: [{ frames: [{ component: { type: 'wrapper', components: [{ type: 'button' }] } }] }],
+        migrated: true
+      },
+      logs: [
+        { level: 'info', message: 'Renamed type "legacy-button" to "button" on 1 components' },
+        { level: 'info', message: 'Upgraded to 1.5.0' },
+        { level: 'info', message: 'Flagged as migrated' }
+      ],
+      success: true,
+      upgradedTo: '2.0.0',
+      failedSteps: []
+    });
+    expect(fixture.builderVersion).toBe('1.0.0');
+  });
+
+  it('should start the chain from the given version', async () => {
+    const result = await runChainOnFixture(versions, fixture, '1.5.0');
+
+    expect(result.projectData.pages[0].frames[0].component.components[0].type).toBe('legacy-button');
+    expect(result.projectData.migrated).toBe(true);
+  });
+
+  it('should run a single step whatever the version of the fixture', async () => {
+    const result = await runStepOnFixture(
+      { ...versions[1], requires: [{ namespace: 'forms', version: '1.0.0' }] },
+      { ...fixture, builderVersion: '3.0.0' }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.projectData.migrated).toBe(true);
+    expect(result.logs).toEqual([{ level: 'info', message: 'Flagged as migrated' }]);
+  });
+
+  it('should report failing steps', async () => {
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    const result = await runStepOnFixture({ builderVersion: '1.0.0', upgrade: () => { throw new Error('Broken'); } }, fixture);
+
+    expect(result.success).toBe(false);
+    expect(result.failedSteps).toEqual(['1.0.0']);
+    consoleErrorSpy.mockRestore();
+  });
+});
@@ -16,13 +16,23 @@ const createMockEditor = () => ({
   }
 });
 
-const createMockVersionManager = () => ({
-  getSavedVersion: jest.fn().mockReturnValue('1.0.0'),
-  saveVersion: jest.fn(),
-  updateVersion: jest.fn(),
-  getPendingUpgrades: jest.fn().mockReturnValue([]),
-  getPendingWhatsNew: jest.fn().mockReturnValue([])
-});
+const createMockVersionManager = () => {
+  const versionManager = {
+    getSavedVersion: jest.fn().mockReturnValue('1.0.0'),
+    saveVersion: jest.fn(),
+    updateVersion: jest.fn(),
+    getPendingUpgrades: jest.fn().mockReturnValue([]),
+    getPendingWhatsNew: jest.fn().mockReturnValue([]),
+    getNamespaceSavedVersions: jest.fn().mockReturnValue({}),
+    updateNamespaceVersion: jest.fn(),
+    restoreVersions: jest.fn(),
+    addHistoryEntry: jest.fn(),
+    compareVersions: (version1, version2) => new VersionManager({ on: () => {} }, {}).compareVersions(version1, version2)
+  };
+  // Without registered streams nor requirements, the plan is the pending steps
+  versionManager.getUpgradePlan = jest.fn((...args) => versionManager.getPendingUpgrades(...args));
+  return versionManager;
+};
 
 const createMockEventSystem = () => ({
   emit: jest.fn()
@@ -289,6 +299,30 @@ describe('UpgradeEngine', () => {
       expect(upgradeEngine.getAllLogs()).toEqual([log1, log2]);
     });
 
+    it('should accept log entries which point to what changed', () => {
+      const context = upgradeEngine.createUpgradeContext();
+
+      const log = context.addLog({
+        level: 'warn',
+        message: 'Removed 3 deprecated attributes',
+        componentId: 'cta',
+        pageId: 'home',
+        ruleSelector: '.btn',
+        data: { attributes: ['bgcolor', 'align', 'valign'] },
+        component: {}
+      });
+
+      expect(log).toEqual({
+        level: 'warn',
+        message: 'Removed 3 deprecated attributes',
+        componentId: 'cta',
+        pageId: 'home',
+        ruleSelector: '.btn',
+        data: { attributes: ['bgcolor', 'align', 'valign'] }
+      });
+      expect(context.addLog({ message: 'Renamed', componentId: 'cta', pageId: null })).toEqual({ level: 'info', message: 'Renamed', componentId: 'cta' });
+    });
+
     it('should provide access to editor functions', () => {
       const context = upgradeEngine.createUpgradeContext();
       
@@ -299,6 +333,26 @@ describe('UpgradeEngine', () => {
       expect(typeof context.getProjectData).toBe('function');
       expect(typeof context.setProjectData).toBe('function');
     });
+
+    it('should provide query helpers', () => {
+      const context = upgradeEngine.createUpgradeContext();
+
+      ['findComponents', 'walkComponents', 'findRules', 'replaceInRules', 'getAssets', 'getSymbols'].forEach(helper => {
+        expect(typeof context[helper]).toBe('function');
+      });
+      expect(context.findComponents('.btn')).toEqual([]);
+    });
+
+    it('should clamp reported progress', () => {
+      const onProgress = jest.fn();
+      const context = upgradeEngine.createUpgradeContext({ onProgress });
+
+      context.reportProgress(12, 10, 'Pages');
+      context.reportProgress(-1, 10);
+
+      expect(onProgress).toHaveBeenNthCalledWith(1, 10, 10, 'Pages');
+      expect(onProgress).toHaveBeenNthCalledWith(2, 0, 10, '');
+    });
   });
 
   describe('state management', () => {
@@ -357,4 +411,1051 @@ describe('UpgradeEngine', () => {
       expect(upgradeEngine.getAllLogs()[0].level).toBe('error');
     });
   });
-});
\ No newline at end of file
+
+  describe('rollback', () => {
+    let projectData;
+
+    beforeEach(() => {
+      projectData = { pages: ['original'] };
+      mockEditor.getProjectData = () => JSON.parse(JSON.stringify(projectData));
+      mockEditor.loadProjectData = jest.fn((data) => { projectData = data; });
+    });
+
+    it('should restore the snapshot taken before the run', async () => {
+      mockOptions.continueOnError = true;
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: () => { projectData.pages.push('1.1.0'); }
+        },
+        {
+          builderVersion: '1.2.0',
+          upgrade: () => { throw new Error('Upgrade failed'); }
+        }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+      expect(projectData.pages).toEqual(['original', '1.1.0']);
+      expect(upgradeEngine.canRollback()).toBe(true);
+
+      const restored = upgradeEngine.rollback();
+
+      expect(restored).toBe(true);
+      expect(mockEditor.loadProjectData).toHaveBeenCalledWith({ pages: ['original'] });
+      expect(projectData.pages).toEqual(['original']);
+      expect(mockVersionManager.updateVersion).toHaveBeenLastCalledWith('2.0.0');
+      expect(mockVersionManager.restoreVersions).toHaveBeenCalledWith('1.0.0', {});
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:rollback', {
+        restoredVersion: '1.0.0'
+      });
+      expect(upgradeEngine.canRollback()).toBe(false);
+    });
+
+    it('should not roll back when no upgrade ran', () => {
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      expect(upgradeEngine.rollback()).toBe(false);
+      expect(mockEditor.loadProjectData).not.toHaveBeenCalled();
+
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should revert partial changes of a failed step when snapshotEachStep is set', async () => {
+      mockOptions.continueOnError = true;
+      mockOptions.snapshotEachStep = true;
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: () => { projectData.pages.push('1.1.0'); }
+        },
+        {
+          builderVersion: '1.2.0',
+          upgrade: () => {
+            projectData.pages.push('partial');
+            throw new Error('Upgrade failed');
+          }
+        },
+        {
+          builderVersion: '1.3.0',
+          upgrade: () => { projectData.pages.push('1.3.0'); }
+        }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.failedSteps).toEqual(['1.2.0']);
+      expect(projectData.pages).toEqual(['original', '1.1.0', '1.3.0']);
+      expect(result.logs).toContainEqual({
+        level: 'warn',
+        message: 'Reverted partial changes of 1.2.0'
+      });
+    });
+  });
+
+  describe('dryRun', () => {
+    const projectData = {
+      pages: [{
+        id: 'home',
+        frames: [{ component: { type: 'wrapper', components: [{ type: 'text' }] } }]
+      }]
+    };
+
+    beforeEach(() => {
+      mockEditor.getProjectData = () => JSON.parse(JSON.stringify(projectData));
+      mockEditor.loadProjectData = jest.fn();
+    });
+
+    it('should run pending steps against a detached copy of the project', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: (ctx) => {
+            const data = ctx.getProjectData();
+            data.pages[0].frames[0].component.components[0].type = 'heading';
+            ctx.setProjectData(data);
+            ctx.addLog('info', 'Renamed text to heading');
+          }
+        }
+      ]);
+
+      const result = await upgradeEngine.dryRun();
+
+      expect(result.success).toBe(true);
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(result.logs).toEqual([
+        { level: 'info', message: 'Renamed text to heading' },
+        { level: 'info', message: 'Upgraded to 1.1.0' }
+      ]);
+      expect(result.diff.components.changed).toEqual(['home/0/0']);
+      expect(mockEditor.setProjectData).not.toHaveBeenCalled();
+      expect(mockEditor.loadProjectData).not.toHaveBeenCalled();
+      expect(mockVersionManager.updateVersion).not.toHaveBeenCalled();
+      expect(mockEventSystem.emit).not.toHaveBeenCalled();
+      expect(upgradeEngine.getAllLogs()).toEqual([]);
+    });
+
+    it('should collect failed steps', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: () => { throw new Error('Upgrade failed'); }
+        },
+        {
+          builderVersion: '1.2.0',
+          upgrade: jest.fn()
+        }
+      ]);
+
+      const result = await upgradeEngine.dryRun();
+
+      expect(result.success).toBe(false);
+      expect(result.failedSteps).toEqual(['1.1.0']);
+      expect(result.logs).toEqual([
+        { level: 'error', message: 'Failed to upgrade to 1.1.0: Upgrade failed' }
+      ]);
+    });
+
+    it('should use the createEditor option to build the sandbox', async () => {
+      const sandbox = createMockEditor();
+      sandbox.destroy = jest.fn();
+      mockOptions.createEditor = jest.fn().mockResolvedValue(sandbox);
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', upgrade }
+      ]);
+
+      await upgradeEngine.dryRun();
+
+      expect(mockOptions.createEditor).toHaveBeenCalledWith(projectData);
+      expect(upgrade).toHaveBeenCalledWith(expect.objectContaining({ editor: sandbox }));
+      expect(sandbox.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateTo', () => {
+    let applied;
+    let versionManager;
+
+    const createStep = (builderVersion, { reversible = true } = {}) => ({
+      builderVersion,
+      upgrade: () => { applied.push(builderVersion); },
+      ...(reversible ? {
+        downgrade: () => {
+          applied.pop();
+          return `Reverted ${builderVersion}`;
+        }
+      } : {})
+    });
+
+    beforeEach(() => {
+      applied = ['1.1.0', '1.2.0', '2.0.0'];
+      mockEditor.on = jest.fn();
+      mockOptions.versions = [createStep('1.1.0'), createStep('1.2.0'), createStep('2.0.0')];
+      versionManager = new VersionManager(mockEditor, mockOptions);
+      versionManager.setSavedVersion('2.0.0');
+      upgradeEngine = new UpgradeEngine(mockEditor, mockOptions, versionManager, mockEventSystem);
+    });
+
+    it('should revert steps in reverse order', async () => {
+      const result = await upgradeEngine.migrateTo('1.1.0');
+
+      expect(result.success).toBe(true);
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(applied).toEqual(['1.1.0']);
+      expect(mockOptions.builderVersion).toBe('1.1.0');
+      expect(result.logs).toEqual([
+        { level: 'info', message: 'Reverted 2.0.0' },
+        { level: 'info', message: 'Reverted 1.2.0' }
+      ]);
+    });
+
+    it('should emit the same events as the forward flow', async () => {
+      await upgradeEngine.migrateTo('1.1.0');
+
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:start', {
+        pending: ['1.2.0', '1.1.0']
+      });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:versionUpgrade:start', {
+        toVersion: '1.2.0'
+      });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:versionUpgrade:end', {
+        toVersion: '1.1.0',
+        log: [{ level: 'info', message: 'Reverted 1.2.0' }]
+      });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:end', {
+        upgradedTo: '1.1.0',
+        hasFailures: false
+      });
+    });
+
+    it('should refuse to downgrade when a step has no downgrade function', async () => {
+      mockOptions.versions[2] = createStep('2.0.0', { reversible: false });
+
+      const result = await upgradeEngine.migrateTo('1.0.0');
+
+      expect(result.success).toBe(false);
+      expect(result.failedSteps).toEqual(['2.0.0']);
+      expect(result.error).toBe('No downgrade function for 2.0.0');
+      expect(applied).toEqual(['1.1.0', '1.2.0', '2.0.0']);
+      expect(mockEventSystem.emit).not.toHaveBeenCalled();
+    });
+
+    it('should report failed downgrades', async () => {
+      mockOptions.versions[1].downgrade = () => { throw new Error('Cannot revert'); };
+
+      const result = await upgradeEngine.migrateTo('1.0.0');
+
+      expect(result.success).toBe(false);
+      expect(result.upgradedTo).toBe('1.2.0');
+      expect(result.logs).toContainEqual({
+        level: 'error',
+        message: 'Failed to downgrade to 1.1.0: Cannot revert'
+      });
+    });
+
+    it('should upgrade when the target is newer', async () => {
+      versionManager.setSavedVersion('1.1.0');
+      applied = ['1.1.0'];
+
+      const result = await upgradeEngine.migrateTo('2.0.0');
+
+      expect(result.success).toBe(true);
+      expect(applied).toEqual(['1.1.0', '1.2.0', '2.0.0']);
+      expect(mockOptions.builderVersion).toBe('2.0.0');
+    });
+
+    it('should only revert the steps applied to an outdated project', async () => {
+      versionManager.setSavedVersion('1.2.0');
+      applied = ['1.1.0', '1.2.0'];
+
+      const result = await upgradeEngine.migrateTo('1.1.0');
+
+      expect(result.success).toBe(true);
+      expect(result.logs).toEqual([{ level: 'info', message: 'Reverted 1.2.0' }]);
+      expect(applied).toEqual(['1.1.0']);
+    });
+
+    it('should start from the version an upgrade of this session reached', async () => {
+      versionManager.setSavedVersion('1.1.0');
+      applied = ['1.1.0'];
+      await upgradeEngine.migrateTo('2.0.0');
+
+      const result = await upgradeEngine.migrateTo('1.2.0');
+
+      expect(result.logs).toEqual([{ level: 'info', message: 'Reverted 2.0.0' }]);
+      expect(applied).toEqual(['1.1.0', '1.2.0']);
+    });
+
+    it('should only update the version when no step is in between', async () => {
+      const result = await upgradeEngine.migrateTo('2.0.1');
+
+      expect(result).toEqual({ success: true, logs: [], upgradedTo: '2.0.1' });
+      expect(mockOptions.builderVersion).toBe('2.0.1');
+    });
+  });
+
+  describe('declarative operations', () => {
+    it('should apply the operations of a step to the project data and log them', async () => {
+      const projectData = {
+        pages: [{ frames: [{ component: { type: 'wrapper', components: [{ type: 'legacy-button' }] } }] }]
+      };
+      mockEditor.getProjectData = () => JSON.parse(JSON.stringify(projectData));
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{
+        builderVersion: '1.1.0',
+        ops: [{ op: 'renameType', from: 'legacy-button', to: 'button' }],
+        upgrade
+      }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(true);
+      expect(mockEditor.setProjectData).toHaveBeenCalledWith({
+        pages: [{ frames: [{ component: { type: 'wrapper', components: [{ type: 'button' }] } }] }]
+      });
+      expect(upgrade).toHaveBeenCalled();
+      expect(result.logs).toEqual([
+        { level: 'info', message: 'Renamed type "legacy-button" to "button" on 1 components' },
+        { level: 'info', message: 'Upgraded to 1.1.0' }
+      ]);
+    });
+
+    it('should fail the step on an invalid operation', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{
+        builderVersion: '1.1.0',
+        ops: [{ op: 'explode' }]
+      }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.failedSteps).toEqual(['1.1.0']);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('conditional steps', () => {
+    it('should skip steps which do not apply and still advance the version', async () => {
+      const upgrade = jest.fn();
+      const appliesTo = jest.fn().mockResolvedValue(false);
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', appliesTo, upgrade },
+        { builderVersion: '1.2.0', appliesTo: () => true, upgrade: jest.fn() }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(appliesTo).toHaveBeenCalledWith(expect.objectContaining({ findComponents: expect.any(Function) }));
+      expect(upgrade).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.upgradedTo).toBe('1.2.0');
+      expect(mockVersionManager.updateVersion).toHaveBeenCalledWith('1.1.0');
+      expect(result.logs[0]).toEqual({ level: 'skipped', message: 'Skipped 1.1.0, it does not apply to this project' });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:versionUpgrade:skip', {
+        toVersion: '1.1.0',
+        log: [result.logs[0]]
+      });
+      expect(mockEventSystem.emit).not.toHaveBeenCalledWith('version:versionUpgrade:start', { toVersion: '1.1.0' });
+    });
+
+    it('should skip steps in dry runs', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', appliesTo: () => false, upgrade: jest.fn() }
+      ]);
+
+      const result = await upgradeEngine.dryRun();
+
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(result.logs).toEqual([{ level: 'skipped', message: 'Skipped 1.1.0, it does not apply to this project' }]);
+    });
+  });
+
+  describe('optional steps', () => {
+    it('should only run the selected optional steps', async () => {
+      const declined = jest.fn();
+      const selected = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', optional: true, upgrade: declined },
+        { builderVersion: '1.2.0', optional: true, upgrade: selected },
+        { builderVersion: '2.0.0', upgrade: jest.fn() }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades({ optionalSteps: ['1.2.0'] });
+
+      expect(declined).not.toHaveBeenCalled();
+      expect(selected).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.upgradedTo).toBe('2.0.0');
+      expect(mockVersionManager.updateVersion).toHaveBeenCalledWith('1.1.0');
+      expect(result.logs[0]).toEqual({ level: 'skipped', message: 'Declined 1.1.0, an optional step' });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:versionUpgrade:skip', {
+        toVersion: '1.1.0',
+        log: [result.logs[0]]
+      });
+      expect(mockVersionManager.addHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({
+        steps: [
+          expect.objectContaining({ version: '1.1.0', status: 'declined' }),
+          expect.objectContaining({ version: '1.2.0', status: 'success' }),
+          expect.objectContaining({ version: '2.0.0', status: 'success' })
+        ]
+      }));
+    });
+
+    it('should run optional steps without a selection', async () => {
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', optional: true, upgrade }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(upgrade).toHaveBeenCalled();
+    });
+
+    it('should decline optional steps in dry runs', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', optional: true, upgrade: jest.fn() }
+      ]);
+
+      const result = await upgradeEngine.dryRun({ optionalSteps: [] });
+
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(result.logs).toEqual([{ level: 'skipped', message: 'Declined 1.1.0, an optional step' }]);
+    });
+  });
+
+  describe('validation', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should not run a step whose pre-condition fails', async () => {
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{
+        builderVersion: '1.1.0',
+        validateBefore: () => 'no body on page home',
+        upgrade
+      }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(upgrade).not.toHaveBeenCalled();
+      expect(result.failedSteps).toEqual(['1.1.0']);
+      expect(result.logs).toContainEqual({
+        level: 'error',
+        message: 'Failed to upgrade to 1.1.0: Pre-condition failed: no body on page home'
+      });
+    });
+
+    it('should fail a step whose post-condition fails', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', upgrade: jest.fn(), validateBefore: () => true, validateAfter: () => undefined },
+        { builderVersion: '1.2.0', upgrade: jest.fn(), validateAfter: async () => false }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(false);
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(result.failedSteps).toEqual(['1.2.0']);
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:error', {
+        toVersion: '1.2.0',
+        error: { message: 'Post-condition failed: validateAfter returned false', step: '1.2.0' }
+      });
+    });
+
+    it('should run the global validators after the chain', async () => {
+      upgradeEngine.options.validators = [
+        () => true,
+        () => { throw new Error('Found legacy-button components'); }
+      ];
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(false);
+      expect(result.upgradedTo).toBe('1.1.0');
+      expect(result.failedSteps).toEqual(['validators']);
+      expect(result.logs).toContainEqual({ level: 'error', message: 'Validation failed: Found legacy-button components' });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:error', {
+        toVersion: '1.1.0',
+        error: { message: 'Found legacy-button components', step: 'validators' }
+      });
+    });
+
+    it('should run the global validators in dry runs', async () => {
+      upgradeEngine.options.validators = [() => 'Missing body'];
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+
+      const result = await upgradeEngine.dryRun();
+
+      expect(result.failedSteps).toEqual(['validators']);
+      expect(result.logs).toContainEqual({ level: 'error', message: 'Validation failed: Missing body' });
+    });
+  });
+
+  describe('history', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should record each run in the history', async () => {
+      upgradeEngine.options.continueOnError = true;
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: (ctx) => {
+            ctx.addLog('warn', 'Deprecated block');
+          }
+        },
+        {
+          builderVersion: '1.2.0',
+          upgrade: () => {
+            throw new Error('Broken');
+          }
+        }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(mockVersionManager.addHistoryEntry).toHaveBeenCalledWith({
+        direction: 'upgrade',
+        fromVersion: '1.0.0',
+        toVersion: '1.1.0',
+        startedAt: expect.any(String),
+        finishedAt: expect.any(String),
+        success: false,
+        cancelled: false,
+        steps: [
+          { version: '1.1.0', status: 'success', logs: { info: 1, warn: 1, error: 0 } },
+          { version: '1.2.0', status: 'failed', error: 'Broken', logs: { info: 0, warn: 0, error: 1 } }
+        ],
+        failedSteps: ['1.2.0'],
+        logs: { info: 1, warn: 1, error: 1 }
+      });
+    });
+  });
+
+  describe('progress', () => {
+    it('should emit progress reported by a step', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', upgrade: jest.fn() },
+        {
+          builderVersion: '1.2.0',
+          upgrade: (ctx) => {
+            ctx.reportProgress(1, 4, 'Migrating pages');
+          }
+        }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:versionUpgrade:progress', {
+        toVersion: '1.2.0',
+        done: 1,
+        total: 4,
+        label: 'Migrating pages',
+        stepIndex: 2,
+        stepCount: 2
+      });
+    });
+  });
+
+  describe('prompts', () => {
+    const question = {
+      title: 'Contact form',
+      message: 'Convert the old contact forms?',
+      choices: [{ value: 'keep', label: 'Keep as static HTML' }, { value: 'convert', label: 'Convert' }],
+      default: 'convert'
+    };
+
+    it('should ask the prompt handler and log the answer', async () => {
+      const answers = [];
+      const promptHandler = jest.fn().mockResolvedValue('keep');
+      upgradeEngine.setPromptHandler(promptHandler);
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', upgrade: async (ctx) => { answers.push(await ctx.prompt(question)); } }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(promptHandler).toHaveBeenCalledWith(question, { signal: expect.any(AbortSignal) });
+      expect(answers).toEqual(['keep']);
+      expect(result.logs).toContainEqual({ level: 'info', message: 'Contact form: Keep as static HTML' });
+    });
+
+    it('should use the default answer without a prompt handler', async () => {
+      const answer = await upgradeEngine.prompt({ message: 'Keep the footer?', choices: ['yes', 'no'] }, { logs: [] });
+
+      expect(answer).toBe('yes');
+      expect(await upgradeEngine.prompt(question, { logs: [] })).toBe('convert');
+    });
+
+    it('should use the default answer in dry runs', async () => {
+      const promptHandler = jest.fn();
+      upgradeEngine.setPromptHandler(promptHandler);
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', upgrade: async (ctx) => { await ctx.prompt(question); } }
+      ]);
+      mockEditor.loadProjectData = jest.fn();
+
+      const result = await upgradeEngine.dryRun();
+
+      expect(promptHandler).not.toHaveBeenCalled();
+      expect(result.logs).toContainEqual({ level: 'info', message: 'Contact form: Convert (default answer)' });
+    });
+
+    it('should require choices', async () => {
+      await expect(upgradeEngine.prompt({ message: 'Sure?' })).rejects.toThrow('ctx.prompt requires at least one choice');
+    });
+  });
+
+  describe('cross-tab lock', () => {
+    let upgradeLock;
+
+    beforeEach(() => {
+      upgradeLock = {
+        acquire: jest.fn().mockResolvedValue(false),
+        release: jest.fn(),
+        onRelease: jest.fn().mockReturnValue(jest.fn())
+      };
+      mockOptions.upgradeLock = upgradeLock;
+      mockVersionManager.getProjectId = jest.fn().mockReturnValue('site-1');
+    });
+
+    it('should not upgrade while another tab holds the lock', async () => {
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(upgradeLock.acquire).toHaveBeenCalledWith('site-1:lock');
+      expect(upgrade).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: false, logs: [], upgradedTo: '1.0.0', error: 'Upgrade running in another tab' });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:locked', { projectId: 'site-1' });
+    });
+
+    it('should emit when the other tab releases the lock', async () => {
+      await upgradeEngine.acquireLock();
+      await upgradeEngine.acquireLock();
+
+      expect(upgradeLock.onRelease).toHaveBeenCalledTimes(1);
+      upgradeLock.onRelease.mock.calls[0][1]();
+
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:unlocked', { projectId: 'site-1' });
+    });
+
+    it('should keep the lock taken before the run until it is released', async () => {
+      upgradeLock.acquire.mockResolvedValue(true);
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+      await upgradeEngine.acquireLock();
+
+      const result = await upgradeEngine.runUpgrades();
+      expect(result.success).toBe(true);
+      expect(upgradeLock.release).not.toHaveBeenCalled();
+
+      upgradeEngine.releaseLock();
+      expect(upgradeLock.release).toHaveBeenCalledWith('site-1:lock');
+    });
+
+    it('should release the lock taken by the run itself', async () => {
+      upgradeLock.acquire.mockResolvedValue(true);
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(upgradeLock.release).toHaveBeenCalledWith('site-1:lock');
+      expect(upgradeEngine.holdsLock).toBe(false);
+    });
+
+    it('should refuse a run started while another one waits for the lock', async () => {
+      upgradeLock.acquire.mockResolvedValue(true);
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade }]);
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const [first, second] = await Promise.all([upgradeEngine.runUpgrades(), upgradeEngine.runUpgrades()]);
+
+      expect(first.success).toBe(true);
+      expect(second.error).toBe('Upgrade already in progress');
+      expect(upgrade).toHaveBeenCalledTimes(1);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should allow another run once the lock was refused', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(upgradeEngine.isUpgrading).toBe(false);
+    });
+  });
+
+  describe('report', () => {
+    beforeEach(() => {
+      mockVersionManager.getProjectId = jest.fn().mockReturnValue('site-1');
+    });
+
+    it('should not have a report before the first run', () => {
+      expect(upgradeEngine.getReport()).toBeNull();
+    });
+
+    it('should report the last run with the logs and timings of each step', async () => {
+      mockOptions.continueOnError = true;
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.5.0', upgrade: (ctx) => { ctx.addLog('warn', 'Renamed .btn'); } },
+        { builderVersion: '2.0.0', upgrade: () => { throw new Error('Broken'); } }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+      const report = upgradeEngine.getReport();
+
+      expect(report).toEqual(expect.objectContaining({
+        direction: 'upgrade',
+        fromVersion: '1.0.0',
+        toVersion: '1.5.0',
+        targetVersion: '2.0.0',
+        success: false,
+        failedSteps: ['2.0.0'],
+        duration: expect.any(Number),
+        environment: expect.objectContaining({ projectId: 'site-1', continueOnError: true })
+      }));
+      expect(report.steps).toEqual([
+        expect.objectContaining({ label: '1.5.0', status: 'success', duration: expect.any(Number), logs: [
+          { level: 'warn', message: 'Renamed .btn' },
+          { level: 'info', message: 'Upgraded to 1.5.0' }
+        ] }),
+        expect.objectContaining({ label: '2.0.0', status: 'failed', error: 'Broken', logs: [expect.objectContaining({ level: 'error' })] })
+      ]);
+      expect(report.logs).toEqual(upgradeEngine.getAllLogs());
+    });
+
+    it('should group the logs by step', async () => {
+      upgradeEngine.backupManager.isEnabled = jest.fn().mockReturnValue(true);
+      upgradeEngine.backupManager.create = jest.fn().mockResolvedValue({ id: 'site-1.backup-1.0.0' });
+      mockOptions.validators = [() => 'Missing footer'];
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.5.0', upgrade: (ctx) => { ctx.addLog('warn', 'Renamed .btn'); } },
+        { builderVersion: '2.0.0', upgrade: jest.fn() }
+      ]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(upgradeEngine.getLogGroups()).toEqual([
+        { label: null, start: 0, logs: [{ level: 'info', message: 'Backed up the project as site-1.backup-1.0.0' }] },
+        { label: '1.5.0', start: 1, logs: [{ level: 'warn', message: 'Renamed .btn' }, { level: 'info', message: 'Upgraded to 1.5.0' }] },
+        { label: '2.0.0', start: 3, logs: [{ level: 'info', message: 'Upgraded to 2.0.0' }] },
+        { label: null, start: 4, logs: [{ level: 'error', message: 'Validation failed: Missing footer' }] }
+      ]);
+    });
+
+    it('should format the report', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: jest.fn() }]);
+      await upgradeEngine.runUpgrades();
+
+      expect(JSON.parse(upgradeEngine.getReport('json')).toVersion).toBe('1.1.0');
+      expect(upgradeEngine.getReport('markdown')).toContain('# Upgrade report: 1.0.0 → 1.1.0');
+    });
+  });
+
+  describe('backups', () => {
+    beforeEach(() => {
+      upgradeEngine.backupManager.isEnabled = jest.fn().mockReturnValue(true);
+    });
+
+    it('should back up the project before the first step', async () => {
+      const order = [];
+      upgradeEngine.backupManager.create = jest.fn(async () => {
+        order.push('backup');
+        return { id: 'site-1.backup-1.0.0' };
+      });
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade: () => order.push('step') }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(order).toEqual(['backup', 'step']);
+      expect(upgradeEngine.backupManager.create).toHaveBeenCalledWith('1.0.0', {});
+      expect(result.logs[0]).toEqual({ level: 'info', message: 'Backed up the project as site-1.backup-1.0.0' });
+    });
+
+    it('should upgrade even when the backup fails', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const upgrade = jest.fn();
+      upgradeEngine.backupManager.create = jest.fn().mockRejectedValue(new Error('Quota exceeded'));
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade }]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(true);
+      expect(upgrade).toHaveBeenCalled();
+      expect(result.logs[0]).toEqual({ level: 'warn', message: 'Could not back up the project: Quota exceeded' });
+      warnSpy.mockRestore();
+    });
+
+    it('should not restore a backup during an upgrade', async () => {
+      upgradeEngine.isUpgrading = true;
+
+      await expect(upgradeEngine.restoreBackup()).rejects.toThrow('Cannot restore a backup during an upgrade');
+    });
+  });
+
+  describe('cancellation and timeouts', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should provide an AbortSignal in the context', async () => {
+      const upgrade = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([{ builderVersion: '1.1.0', upgrade }]);
+
+      await upgradeEngine.runUpgrades();
+
+      expect(upgrade.mock.calls[0][0].signal).toBeInstanceOf(AbortSignal);
+      expect(upgrade.mock.calls[0][0].signal.aborted).toBe(false);
+    });
+
+    it('should stop a hanging step when cancelled', async () => {
+      mockOptions.continueOnError = true;
+      let stepSignal;
+      const nextStep = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          upgrade: (ctx) => {
+            stepSignal = ctx.signal;
+            return new Promise(() => {});
+          }
+        },
+        { builderVersion: '1.2.0', upgrade: nextStep }
+      ]);
+
+      const promise = upgradeEngine.runUpgrades();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(upgradeEngine.cancel()).toBe(true);
+      const result = await promise;
+
+      expect(stepSignal.aborted).toBe(true);
+      expect(nextStep).not.toHaveBeenCalled();
+      expect(upgradeEngine.isRunning()).toBe(false);
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        cancelled: true,
+        failedSteps: ['1.1.0'],
+        error: 'Upgrade cancelled'
+      }));
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:cancelled', {
+        upgradedTo: '1.0.0',
+        step: '1.1.0'
+      });
+      expect(mockEventSystem.emit).not.toHaveBeenCalledWith('version:upgrade:end', expect.anything());
+      expect(mockEventSystem.emit).not.toHaveBeenCalledWith('version:upgrade:error', expect.anything());
+    });
+
+    it('should not cancel when no upgrade is running', () => {
+      expect(upgradeEngine.cancel()).toBe(false);
+    });
+
+    it('should fail a step which exceeds its timeout', async () => {
+      mockOptions.continueOnError = true;
+      let stepSignal;
+      const nextStep = jest.fn();
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        {
+          builderVersion: '1.1.0',
+          timeout: 20,
+          upgrade: (ctx) => {
+            stepSignal = ctx.signal;
+            return new Promise(() => {});
+          }
+        },
+        { builderVersion: '1.2.0', upgrade: nextStep }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(stepSignal.aborted).toBe(true);
+      expect(result.failedSteps).toEqual(['1.1.0']);
+      expect(result.logs[0]).toEqual({
+        level: 'error',
+        message: 'Failed to upgrade to 1.1.0: Step 1.1.0 timed out after 20ms'
+      });
+      expect(nextStep).toHaveBeenCalled();
+      expect(result.cancelled).toBeUndefined();
+    });
+
+    it('should name the stream of a step which times out', async () => {
+      mockVersionManager.getPendingUpgrades.mockReturnValue([
+        { builderVersion: '1.1.0', namespace: 'forms', timeout: 20, upgrade: () => new Promise(() => {}) }
+      ]);
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.failedSteps).toEqual(['forms@1.1.0']);
+      expect(result.logs[0].message).toContain('Step forms@1.1.0 timed out after 20ms');
+    });
+  });
+
+  describe('checkpoints', () => {
+    let store;
+    let projectData;
+    let versionManager;
+
+    const createMemoryStore = () => {
+      const items = {};
+      return {
+        items,
+        get: jest.fn(async (key) => items[key]),
+        set: jest.fn(async (key, value) => { items[key] = JSON.parse(JSON.stringify(value)); }),
+        remove: jest.fn(async (key) => { delete items[key]; })
+      };
+    };
+
+    const createStep = (builderVersion, upgrade) => ({
+      builderVersion,
+      upgrade: upgrade || (() => { projectData.applied.push(builderVersion); })
+    });
+
+    beforeEach(() => {
+      store = createMemoryStore();
+      projectData = { applied: [] };
+      mockEditor.on = jest.fn();
+      mockEditor.getProjectData = () => JSON.parse(JSON.stringify(projectData));
+      mockEditor.loadProjectData = jest.fn((data) => { projectData = data; });
+      mockOptions.checkpointStore = store;
+      mockOptions.projectId = 'site-1';
+      mockOptions.versions = [createStep('1.1.0'), createStep('1.2.0'), createStep('2.0.0')];
+      versionManager = new VersionManager(mockEditor, mockOptions);
+      versionManager.setSavedVersion('1.0.0');
+      upgradeEngine = new UpgradeEngine(mockEditor, mockOptions, versionManager, mockEventSystem);
+    });
+
+    it('should save a checkpoint after each completed step', async () => {
+      const checkpoints = [];
+      mockOptions.versions[2] = createStep('2.0.0', async () => {
+        checkpoints.push(await upgradeEngine.getCheckpoint());
+      });
+
+      await upgradeEngine.runUpgrades();
+
+      expect(checkpoints[0]).toEqual(expect.objectContaining({
+        fromVersion: '1.0.0',
+        completedVersion: '1.2.0',
+        direction: 'upgrade',
+        data: { applied: ['1.1.0', '1.2.0'] },
+        snapshotId: 'site-1:snapshot',
+        logs: [
+          { level: 'info', message: 'Upgraded to 1.1.0' },
+          { level: 'info', message: 'Upgraded to 1.2.0' }
+        ]
+      }));
+      expect(store.set).toHaveBeenCalledWith('site-1:snapshot', { applied: [] });
+    });
+
+    it('should clear the checkpoint when the run is over', async () => {
+      await upgradeEngine.runUpgrades();
+
+      expect(await upgradeEngine.getCheckpoint()).toBeNull();
+      expect(store.items).toEqual({});
+    });
+
+    it('should resume from the last completed step', async () => {
+      store.items['site-1:snapshot'] = { applied: [] };
+      store.items['site-1:checkpoint'] = {
+        fromVersion: '1.0.0',
+        targetVersion: '2.0.0',
+        direction: 'upgrade',
+        completedVersion: '1.1.0',
+        data: { applied: ['1.1.0'] },
+        logs: [{ level: 'info', message: 'Upgraded to 1.1.0' }],
+        snapshotId: 'site-1:snapshot'
+      };
+
+      const result = await upgradeEngine.resume();
+
+      expect(result.success).toBe(true);
+      expect(projectData.applied).toEqual(['1.1.0', '1.2.0', '2.0.0']);
+      expect(result.logs).toHaveLength(3);
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('version:upgrade:start', {
+        pending: ['1.2.0', '2.0.0']
+      });
+
+      // The snapshot taken before the interrupted run is used for rollback
+      expect(upgradeEngine.rollback()).toBe(true);
+      expect(projectData).toEqual({ applied: [] });
+    });
+
+    it('should restart from the project as it was before the interrupted run', async () => {
+      store.items['site-1:snapshot'] = { applied: [] };
+      store.items['site-1:checkpoint'] = {
+        fromVersion: '1.0.0',
+        direction: 'upgrade',
+        completedVersion: '1.1.0',
+        data: { applied: ['1.1.0'] },
+        logs: [],
+        snapshotId: 'site-1:snapshot'
+      };
+      projectData = { applied: ['1.1.0'] };
+      versionManager.setSavedVersion('1.1.0');
+
+      const result = await upgradeEngine.restart();
+
+      expect(result.success).toBe(true);
+      expect(projectData.applied).toEqual(['1.1.0', '1.2.0', '2.0.0']);
+      expect(result.logs).toHaveLength(3);
+    });
+
+    it('should check the stored project was not saved outside of the run', () => {
+      const checkpoint = { fromVersion: '1.0.0', completedVersion: '1.2.0', direction: 'upgrade' };
+
+      expect(upgradeEngine.isCheckpointValid(checkpoint, '1.0.0')).toBe(true);
+      expect(upgradeEngine.isCheckpointValid(checkpoint, '1.1.0')).toBe(true);
+      expect(upgradeEngine.isCheckpointValid(checkpoint, '2.0.0')).toBe(false);
+      expect(upgradeEngine.isCheckpointValid(checkpoint, null)).toBe(false);
+      expect(upgradeEngine.isCheckpointValid({ fromVersion: null, completedVersion: null }, null)).toBe(true);
+    });
+
+    it('should keep upgrading when the store fails', async () => {
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      store.set.mockRejectedValue(new Error('QuotaExceededError'));
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(true);
+      expect(consoleWarnSpy).toHaveBeenCalled();
+
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should not save checkpoints nor lock without a project id', async () => {
+      const upgradeLock = { acquire: jest.fn(), release: jest.fn() };
+      mockOptions.upgradeLock = upgradeLock;
+      mockOptions.projectId = null;
+
+      const result = await upgradeEngine.runUpgrades();
+
+      expect(result.success).toBe(true);
+      expect(store.set).not.toHaveBeenCalled();
+      expect(await upgradeEngine.getCheckpoint()).toBeNull();
+      expect(upgradeLock.acquire).not.toHaveBeenCalled();
+    });
+  });
+});
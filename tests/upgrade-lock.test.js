@@ -0,0 +1,102 @@
+import UpgradeLock from '../src/upgrade-lock.js';
+
+// Minimal Web Locks API, each name is held by one request at a time
+const createLockManager = () => {
+  const held = new Map();
+
+  return {
+    request: async (name, options, callback) => {
+      if (options.ifAvailable && held.has(name)) {
+        return callback(null);
+      }
+      while (held.has(name)) {
+        await held.get(name);
+      }
+
+      const result = Promise.resolve(callback({ name }));
+      held.set(name, result);
+      await result;
+      held.delete(name);
+      return result;
+    }
+  };
+};
+
+describe('UpgradeLock', () => {
+  // Each instance stands for a tab
+  let firstTab;
+  let secondTab;
+
+  beforeEach(() => {
+    localStorage.clear();
+    firstTab = new UpgradeLock();
+    secondTab = new UpgradeLock();
+  });
+
+  afterEach(() => {
+    firstTab.release('site-1:lock');
+    secondTab.release('site-1:lock');
+  });
+
+  describe('with a lease in localStorage', () => {
+    it('should let a single tab hold the lock', async () => {
+      expect(await firstTab.acquire('site-1:lock')).toBe(true);
+      expect(await firstTab.acquire('site-1:lock')).toBe(true);
+      expect(await secondTab.acquire('site-1:lock')).toBe(false);
+      expect(await secondTab.acquire('site-2:lock')).toBe(true);
+      secondTab.release('site-2:lock');
+
+      firstTab.release('site-1:lock');
+
+      expect(firstTab.isHeld('site-1:lock')).toBe(false);
+      expect(await secondTab.acquire('site-1:lock')).toBe(true);
+    });
+
+    it('should take over the lease of a closed tab', async () => {
+      localStorage.setItem('gjs-version-flow:site-1:lock', JSON.stringify({ tabId: 'closed', expiresAt: Date.now() - 1 }));
+
+      expect(await firstTab.acquire('site-1:lock')).toBe(true);
+    });
+
+    it('should notify the waiting tabs when the lease ends', async () => {
+      jest.useFakeTimers();
+      const callback = jest.fn();
+      await firstTab.acquire('site-1:lock');
+
+      secondTab.onRelease('site-1:lock', callback);
+      jest.advanceTimersByTime(20000);
+      expect(callback).not.toHaveBeenCalled();
+
+      firstTab.release('site-1:lock');
+      jest.advanceTimersByTime(5000);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('with the Web Locks API', () => {
+    beforeEach(() => {
+      Object.defineProperty(navigator, 'locks', { value: createLockManager(), configurable: true });
+    });
+
+    afterEach(() => {
+      delete navigator.locks;
+    });
+
+    it('should let a single tab hold the lock and notify the others when it is released', async () => {
+      const callback = jest.fn();
+
+      expect(await firstTab.acquire('site-1:lock')).toBe(true);
+      expect(await secondTab.acquire('site-1:lock')).toBe(false);
+      expect(localStorage.length).toBe(0);
+
+      secondTab.onRelease('site-1:lock', callback);
+      firstTab.release('site-1:lock');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(await secondTab.acquire('site-1:lock')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { validateStep } from '../src/validate-step.js';
+
+describe('validateStep', () => {
+  const upgrade = () => {};
+
+  it('should accept steps with an upgrade function or operations', () => {
+    expect(validateStep({ builderVersion: '1.0.0', upgrade })).toBeNull();
+    expect(validateStep({ builderVersion: '1.0.0', ops: [{ op: 'renameType', from: 'a', to: 'b' }] })).toBeNull();
+    expect(validateStep({
+      builderVersion: '1.0.0',
+      upgrade,
+      downgrade: upgrade,
+      timeout: 1000,
+      optional: true,
+      description: 'Renames the buttons',
+      requires: [{ namespace: 'forms', version: '1.0.0' }]
+    })).toBeNull();
+  });
+
+  it('should return the first problem of a step', () => {
+    expect(validateStep({ builderVersion: '1.0.0' })).toBe('Each version step must have builderVersion and an upgrade function or ops');
+    expect(validateStep({ upgrade })).toBe('Each version step must have builderVersion and an upgrade function or ops');
+    expect(validateStep({ builderVersion: '1.0.0', ops: [{ op: 'renameType', from: 'a' }] })).toBe('Operation renameType requires to');
+    expect(validateStep({ builderVersion: '1.0.0', upgrade, downgrade: 'no' })).toBe('downgrade must be a function');
+    expect(validateStep({ builderVersion: '1.0.0', upgrade, timeout: 'soon' })).toBe('timeout must be a number of milliseconds');
+    expect(validateStep({ builderVersion: '1.0.0', upgrade, validateAfter: true })).toBe('validateBefore and validateAfter must be functions');
+    expect(validateStep({ builderVersion: '1.0.0', upgrade, mandatory: 'yes' })).toBe('mandatory must be a boolean');
+    expect(validateStep({ builderVersion: '1.0.0', upgrade, requires: [{ namespace: 'forms' }] })).toBe('requires must be an array of { namespace, version }');
+  });
+});
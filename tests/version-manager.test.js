@@ -52,6 +52,23 @@ describe('VersionManager', () => {
       expect(versionManager.compareVersions('1.3', '1.2.9')).toBe(1);
     });
 
+    it('should order prereleases before the release', () => {
+      expect(versionManager.compareVersions('1.3.0-canary.0', '1.3.0')).toBe(-1);
+      expect(versionManager.compareVersions('1.3.0', '1.3.0-canary.0')).toBe(1);
+      expect(versionManager.compareVersions('1.3.0-canary.0', '1.2.9')).toBe(1);
+    });
+
+    it('should compare numeric prerelease identifiers numerically', () => {
+      expect(versionManager.compareVersions('2.0.0-beta.2', '2.0.0-beta.10')).toBe(-1);
+      expect(versionManager.compareVersions('2.0.0-beta.10', '2.0.0-beta.2')).toBe(1);
+      expect(versionManager.compareVersions('2.0.0-alpha', '2.0.0-beta')).toBe(-1);
+    });
+
+    it('should ignore build metadata', () => {
+      expect(versionManager.compareVersions('1.0.0+build.1', '1.0.0+build.2')).toBe(0);
+      expect(versionManager.compareVersions('1.0.0-rc.1+build.1', '1.0.0')).toBe(-1);
+    });
+
     it('should use custom compare function when provided', () => {
       const customCompareFn = jest.fn().mockReturnValue(-1);
       mockOptions.compareFn = customCompareFn;
@@ -118,6 +135,19 @@ describe('VersionManager', () => {
       expect(result).toHaveLength(0);
     });
 
+    it('should include prerelease steps up to a prerelease current version', () => {
+      mockOptions.versions = [
+        { builderVersion: '1.3.0', upgrade: () => {} },
+        { builderVersion: '2.0.0-beta.10', upgrade: () => {} },
+        { builderVersion: '2.0.0-beta.2', upgrade: () => {} },
+        { builderVersion: '2.0.0', upgrade: () => {} }
+      ];
+      versionManager = new VersionManager(mockEditor, mockOptions);
+
+      const result = versionManager.getPendingUpgrades('1.3.0', '2.0.0-beta.10');
+      expect(result.map(v => v.builderVersion)).toEqual(['2.0.0-beta.2', '2.0.0-beta.10']);
+    });
+
     it('should exclude versions higher than current', () => {
       mockOptions.versions.push({ builderVersion: '2.1.0', upgrade: () => {} });
       versionManager = new VersionManager(mockEditor, mockOptions);
@@ -127,6 +157,17 @@ describe('VersionManager', () => {
     });
   });
 
+  describe('getPendingDowngrades', () => {
+    it('should return versions between target and current, most recent first', () => {
+      const result = versionManager.getPendingDowngrades('2.0.0', '1.1.0');
+      expect(result.map(v => v.builderVersion)).toEqual(['2.0.0', '1.2.0']);
+    });
+
+    it('should return empty array when target is current', () => {
+      expect(versionManager.getPendingDowngrades('2.0.0', '2.0.0')).toHaveLength(0);
+    });
+  });
+
   describe('getPendingWhatsNew', () => {
     beforeEach(() => {
       mockOptions.versions = [
@@ -149,6 +190,148 @@ describe('VersionManager', () => {
     });
   });
 
+  describe('register', () => {
+    const formsSteps = [
+      { builderVersion: '1.0.0', upgrade: () => {} },
+      { builderVersion: '1.1.0', upgrade: () => {} }
+    ];
+
+    it('should register a version stream at the version of its latest step', () => {
+      const stream = versionManager.register('forms', formsSteps);
+
+      expect(stream.versionKey).toBe('builderVersion:forms');
+      expect(stream.currentVersion).toBe('1.1.0');
+      expect(stream.steps.every(step => step.namespace === 'forms')).toBe(true);
+    });
+
+    it('should reject invalid registrations', () => {
+      versionManager.register('forms', formsSteps);
+
+      expect(() => versionManager.register('', formsSteps)).toThrow('namespace is required');
+      expect(() => versionManager.register('forms', formsSteps)).toThrow('already registered');
+      expect(() => versionManager.register('fonts', [{ builderVersion: '1.0.0' }])).toThrow('upgrade function');
+      expect(() => versionManager.register('fonts', [{ builderVersion: 'v1', upgrade: () => {} }])).toThrow('Invalid version "v1"');
+      expect(() => versionManager.register('fonts', [{ builderVersion: '1.0.0', upgrade: () => {}, description: 1 }])).toThrow('description must be a string');
+      expect(() => versionManager.register('fonts', [{ builderVersion: '1.0.0', upgrade: () => {}, timeout: 'soon' }])).toThrow('timeout must be a number of milliseconds');
+      expect(() => versionManager.register('fonts', [{ builderVersion: '1.0.0', upgrade: () => {}, downgrade: true }])).toThrow('downgrade must be a function');
+    });
+
+    it('should return the pending steps of each stream from its saved version', () => {
+      versionManager.register('forms', formsSteps);
+      versionManager.register('fonts', [{ builderVersion: '2.0.0', upgrade: () => {} }], { version: '2.0.0' });
+      versionManager.namespaces.get('forms').savedVersion = '1.0.0';
+      versionManager.namespaces.get('fonts').savedVersion = '2.0.0';
+
+      const result = versionManager.getPendingNamespaceUpgrades();
+
+      expect(result.map(step => `${step.namespace}@${step.builderVersion}`)).toEqual(['forms@1.1.0']);
+      expect(versionManager.getPendingNamespaceUpgrades({ forms: '1.1.0' })).toEqual([]);
+    });
+  });
+
+  describe('getUpgradePlan', () => {
+    it('should keep the version order without requirements', () => {
+      versionManager.register('forms', [{ builderVersion: '1.0.0', upgrade: () => {} }]);
+
+      const plan = versionManager.getUpgradePlan('1.0.0', '2.0.0');
+
+      expect(plan.map(step => versionManager.getStepId(step))).toEqual([
+        'core@1.1.0', 'core@1.2.0', 'core@2.0.0', 'forms@1.0.0'
+      ]);
+    });
+
+    it('should run required steps first', () => {
+      versionManager.register('forms', [
+        { builderVersion: '1.0.0', upgrade: () => {}, requires: [{ version: '1.2.0' }] }
+      ]);
+      mockOptions.versions[2].requires = [{ namespace: 'forms', version: '1.0.0' }];
+
+      const plan = versionManager.getUpgradePlan('1.0.0', '2.0.0');
+
+      expect(plan.map(step => versionManager.getStepId(step))).toEqual([
+        'core@1.1.0', 'core@1.2.0', 'forms@1.0.0', 'core@2.0.0'
+      ]);
+    });
+
+    it('should detect missing prerequisites', () => {
+      mockOptions.versions[2].requires = [{ namespace: 'fonts', version: '1.0.0' }];
+
+      expect(() => versionManager.validateRequirements()).toThrow(
+        '[grapesjs-version-flow] core@2.0.0 requires fonts@1.0.0, which is not a registered step'
+      );
+    });
+
+    it('should detect circular requirements', () => {
+      versionManager.register('forms', [
+        { builderVersion: '1.0.0', upgrade: () => {}, requires: [{ version: '2.0.0' }] }
+      ]);
+      mockOptions.versions[1].requires = [{ namespace: 'forms', version: '1.0.0' }];
+
+      expect(() => versionManager.validateRequirements()).toThrow('Circular step requirements');
+    });
+
+    it('should reject a plan which skips a required step', () => {
+      versionManager.register('forms', [
+        { builderVersion: '1.0.0', upgrade: () => {}, requires: [{ version: '2.0.0' }] }
+      ]);
+
+      expect(() => versionManager.getUpgradePlan('1.0.0', '1.2.0')).toThrow(
+        '[grapesjs-version-flow] forms@1.0.0 requires core@2.0.0, which is not part of this upgrade'
+      );
+      expect(versionManager.getUpgradePlan('2.0.0', '2.0.0').map(step => versionManager.getStepId(step))).toEqual(['forms@1.0.0']);
+    });
+  });
+
+  describe('deferral', () => {
+    it('should only allow deferring when no pending step is mandatory', () => {
+      versionManager.savedVersion = '1.1.0';
+      expect(versionManager.hasMandatoryUpgrades()).toBe(true);
+
+      mockOptions.mandatory = false;
+      expect(versionManager.hasMandatoryUpgrades()).toBe(false);
+
+      mockOptions.versions[1].mandatory = true;
+      expect(versionManager.hasMandatoryUpgrades()).toBe(true);
+
+      mockOptions.versions[1].optional = true;
+      expect(versionManager.hasMandatoryUpgrades()).toBe(false);
+    });
+
+    it('should stay deferred for the given interval', () => {
+      expect(versionManager.isDeferred(1000)).toBe(false);
+
+      versionManager.defer();
+      expect(versionManager.isDeferred(1000)).toBe(true);
+
+      versionManager.deferredAt = new Date(Date.now() - 2000).toISOString();
+      expect(versionManager.isDeferred(1000)).toBe(false);
+
+      versionManager.clearDeferral();
+      expect(versionManager.getDeferredAt()).toBeNull();
+    });
+  });
+
+  describe('getProjectId', () => {
+    it('should use the projectId option', () => {
+      mockOptions.projectId = 'site-1';
+      expect(versionManager.getProjectId()).toBe('site-1');
+
+      mockOptions.projectId = (editor) => editor.projectName;
+      mockEditor.projectName = 'site-2';
+      expect(versionManager.getProjectId()).toBe('site-2');
+    });
+
+    it('should default to the key of the project in the local storage', () => {
+      expect(versionManager.getProjectId()).toBeNull();
+
+      mockEditor.Storage = { getCurrent: () => 'local', getStorageOptions: () => ({ key: 'site-3' }) };
+      expect(versionManager.getProjectId()).toBe('site-3');
+
+      mockEditor.Storage.getCurrent = () => 'remote';
+      expect(versionManager.getProjectId()).toBeNull();
+    });
+  });
+
   describe('parseVersion', () => {
     it('should parse semantic versions correctly', () => {
       const result = versionManager.parseVersion('1.2.3');
@@ -14,6 +14,7 @@ const createMockEditor = () => {
       }
     },
     store: jest.fn(() => Promise.resolve()),
+    trigger: jest.fn(),
     on: jest.fn((event, callback) => {
       if (!events[event]) events[event] = [];
       events[event].push(callback);
@@ -119,6 +120,176 @@ describe('Version Storage Integration', () => {
     });
   });
 
+  describe('Upgrade History', () => {
+    const entry = { fromVersion: '1.0.0', toVersion: '2.0.0', success: true };
+
+    it('should load the history from stored data', () => {
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      loadCallback({ builderVersion: '2.0.0', upgradeHistory: [entry] });
+
+      expect(versionManager.getHistory()).toEqual([entry]);
+    });
+
+    it('should store the history with the version', () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const objectToStore = {};
+
+      storeCallback(objectToStore);
+      expect(objectToStore.upgradeHistory).toBeUndefined();
+
+      versionManager.addHistoryEntry(entry);
+      storeCallback(objectToStore);
+      expect(objectToStore.upgradeHistory).toEqual([entry]);
+    });
+
+    it('should ignore invalid stored history', () => {
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      loadCallback({ builderVersion: '2.0.0', upgradeHistory: 'invalid' });
+
+      expect(versionManager.getHistory()).toEqual([]);
+    });
+  });
+
+  describe('Deferral', () => {
+    it('should store and load the deferral timestamp', () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      const objectToStore = {};
+
+      versionManager.defer();
+      storeCallback(objectToStore);
+      expect(objectToStore.upgradeDeferredAt).toBe(versionManager.getDeferredAt());
+
+      loadCallback({ builderVersion: '1.0.0' });
+      expect(versionManager.getDeferredAt()).toBeNull();
+
+      loadCallback({ builderVersion: '1.0.0', upgradeDeferredAt: objectToStore.upgradeDeferredAt });
+      expect(versionManager.getDeferredAt()).toBe(objectToStore.upgradeDeferredAt);
+    });
+
+    it('should store the saved versions while the upgrade is deferred', () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      versionManager.register('forms', [{ builderVersion: '1.1.0', upgrade: () => {} }]);
+      loadCallback({ builderVersion: '1.0.0', 'builderVersion:forms': '1.0.0' });
+
+      versionManager.defer();
+      const deferredData = {};
+      storeCallback(deferredData);
+      expect(deferredData.builderVersion).toBe('1.0.0');
+      expect(deferredData['builderVersion:forms']).toBe('1.0.0');
+
+      versionManager.clearDeferral();
+      const upgradedData = {};
+      storeCallback(upgradedData);
+      expect(upgradedData.builderVersion).toBe('2.0.0');
+      expect(upgradedData['builderVersion:forms']).toBe('1.1.0');
+    });
+
+    it('should not store a version for a first run which is deferred', () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const objectToStore = {};
+
+      versionManager.defer();
+      storeCallback(objectToStore);
+      expect(objectToStore).not.toHaveProperty('builderVersion');
+    });
+  });
+
+  describe('Backups', () => {
+    const backup = { id: 'gjsProject.backup-1.0.0', fromVersion: '1.0.0', namespaces: {}, createdAt: '2024-01-01T00:00:00.000Z' };
+
+    it('should store and load the list of backups', () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      const objectToStore = {};
+
+      versionManager.setBackups([backup]);
+      storeCallback(objectToStore);
+      expect(objectToStore.upgradeBackups).toEqual([backup]);
+
+      loadCallback({ builderVersion: '2.0.0' });
+      expect(versionManager.getBackups()).toEqual([]);
+
+      loadCallback({ builderVersion: '2.0.0', upgradeBackups: [backup] });
+      expect(versionManager.getBackups()).toEqual([backup]);
+    });
+
+    it('should leave the data of backups untouched', async () => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      const loadCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:load')[1];
+      const backupData = { builderVersion: '1.0.0' };
+      const projectData = {};
+
+      // A project save may happen while the backup is stored
+      await versionManager.storeBackup(backupData, (data) => {
+        storeCallback(data);
+        storeCallback(projectData);
+      });
+      expect(backupData).toEqual({ builderVersion: '1.0.0' });
+      expect(projectData.builderVersion).toBe('2.0.0');
+
+      versionManager.savedVersion = '2.0.0';
+      const loaded = await versionManager.loadBackup(() => {
+        loadCallback(backupData);
+        return backupData;
+      });
+      expect(loaded).toBe(backupData);
+      expect(versionManager.getSavedVersion()).toBe('2.0.0');
+      expect(versionManager.isLoadingBackup).toBe(false);
+    });
+  });
+
+  describe('Newer Version Policy', () => {
+    const store = (data = {}) => {
+      const storeCallback = mockEditor.on.mock.calls.find(call => call[0] === 'storage:start:store')[1];
+      storeCallback(data);
+      return data;
+    };
+
+    beforeEach(() => {
+      versionManager.savedVersion = '3.0.0';
+    });
+
+    it('should detect projects saved with a newer version', () => {
+      expect(versionManager.isNewerProject()).toBe(true);
+
+      versionManager.savedVersion = '1.0.0';
+      expect(versionManager.isNewerProject()).toBe(false);
+    });
+
+    it('should block the store with block-save and read-only policies', () => {
+      for (const policy of ['block-save', 'read-only']) {
+        options.newerVersionPolicy = policy;
+        const data = {};
+
+        expect(() => store(data)).toThrow('Saving is blocked');
+        expect(data.builderVersion).toBeUndefined();
+        expect(mockEditor.trigger).toHaveBeenLastCalledWith('version:save-blocked', {
+          savedVersion: '3.0.0',
+          currentVersion: '2.0.0',
+          policy
+        });
+      }
+    });
+
+    it('should store with a warning with the warn policy', () => {
+      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      options.newerVersionPolicy = 'warn';
+
+      expect(store().builderVersion).toBe('2.0.0');
+      expect(consoleWarnSpy).toHaveBeenCalled();
+
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should store silently with the allow policy', () => {
+      options.newerVersionPolicy = 'allow';
+
+      expect(store().builderVersion).toBe('2.0.0');
+    });
+  });
+
   describe('Version Persistence', () => {
     it('should update version and trigger store', () => {
       versionManager.saveVersion('2.1.0');